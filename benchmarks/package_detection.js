@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: LGPL-3.0-or-later
+// Copyright © 2021 fvtt-shared-library Rui Pinheiro
+
+'use strict';
+
+/*
+ * Compares the V8 structured call site path with the stack trace string parsing fallback, both when collecting stack traces
+ * and when detecting the calling package.
+ *
+ * Runs in plain Node.js from the repository root, or in any other V8-based engine:
+ *   node benchmarks/package_detection.js [iterations] [stack depth]
+ */
+
+import { collect_stack_trace, parse_stack_trace } from '../stack_trace.js';
+import { PackageInfo } from '../package_info.js';
+
+
+//*********************
+// Constants
+const ITERATIONS = parseInt(globalThis.process?.argv?.[2] ?? '') || 10000;
+const STACK_DEPTH = parseInt(globalThis.process?.argv?.[3] ?? '') || 30;
+const WARMUP_ITERATIONS = Math.ceil(ITERATIONS / 10);
+
+// Module the innermost frames are attributed to, so that detection stops early on the first match
+const MODULE_URL = 'http://localhost:30000/modules/benchmark-module/benchmark.js';
+
+
+//*********************
+// Utility functions
+
+// Creates a function that lives in MODULE_URL, and calls 'fn' after recursing 'depth' times
+const make_module_function = function() {
+	return new Function('fn', 'depth', `
+		const recurse = function(n) {
+			return (n > 0) ? recurse(n - 1) : fn();
+		};
+		return recurse(depth);
+		//# sourceURL=${MODULE_URL}
+	`);
+}
+
+// Calls 'fn' with 'depth' unrelated frames above the module frames, similar to a deep Foundry call stack
+const with_stack_depth = function(depth, fn) {
+	return (depth > 0) ? with_stack_depth(depth - 1, fn) : fn();
+}
+
+// Captures the full stack trace string, like the string parsing fallback does
+const full_stack_string = function() {
+	const old_stack_limit = Error.stackTraceLimit;
+
+	try {
+		Error.stackTraceLimit = Infinity;
+		return Error().stack;
+	}
+	finally {
+		Error.stackTraceLimit = old_stack_limit;
+	}
+}
+
+const measure = function(name, fn) {
+	for(let i = 0; i < WARMUP_ITERATIONS; i++)
+		fn();
+
+	const start = performance.now();
+	for(let i = 0; i < ITERATIONS; i++)
+		fn();
+	const elapsed = performance.now() - start;
+
+	return {
+		name : name,
+		total: elapsed,
+		each : (elapsed * 1000) / ITERATIONS
+	};
+}
+
+const report = function(title, results) {
+	const baseline = results[results.length - 1];
+
+	console.log(`\n${title}`);
+	for(const result of results) {
+		const speedup = (baseline.each / result.each).toFixed(2);
+		console.log(`  ${result.name.padEnd(28)} ${result.each.toFixed(3).padStart(10)}µs/op  ${speedup}x`);
+	}
+}
+
+
+//*********************
+// Benchmarks
+const module_function = make_module_function();
+
+const run = function(fn) {
+	return with_stack_depth(STACK_DEPTH, () => module_function(fn, 5));
+}
+
+// Sanity check: both paths must agree on the detected package
+const detected_callsites = run(() => PackageInfo.detect());
+const detected_string = run(() => PackageInfo.detect(PackageInfo.policy, full_stack_string()));
+if(detected_callsites !== detected_string || detected_callsites.id !== 'benchmark-module')
+	throw new Error(`Detection mismatch: call sites detected '${detected_callsites?.key}', string parsing detected '${detected_string?.key}'.`);
+
+console.log(`Iterations: ${ITERATIONS}, stack depth: ${STACK_DEPTH + 6}+ frames`);
+
+report('Collect the full stack trace', [
+	measure('call sites'    , () => run(() => [...collect_stack_trace(/*use_callsites=*/ true)])),
+	measure('string parsing', () => run(() => [...collect_stack_trace(/*use_callsites=*/ false)]))
+]);
+
+report('Collect the first frame only', [
+	measure('call sites'    , () => run(() => collect_stack_trace(/*use_callsites=*/ true)[Symbol.iterator]().next())),
+	measure('string parsing', () => run(() => collect_stack_trace(/*use_callsites=*/ false)[Symbol.iterator]().next()))
+]);
+
+report('Detect the calling package', [
+	measure('call sites'    , () => run(() => PackageInfo.detect())),
+	measure('string parsing', () => run(() => PackageInfo.detect(PackageInfo.policy, full_stack_string())))
+]);
+
+// Parsing an existing stack trace string, as done when the caller passes 'stack_trace' explicitly
+const stack_string = run(full_stack_string);
+report('Parse an existing stack trace string', [
+	measure('string parsing', () => parse_stack_trace(stack_string))
+]);
\ No newline at end of file
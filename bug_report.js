@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: LGPL-3.0-or-later
+// Copyright © 2021 fvtt-shared-library Rui Pinheiro
+
+'use strict';
+
+import { PACKAGE_ID, PACKAGE_TITLE } from '../consts.js';
+import { ERRORS } from '../errors/errors.js';
+import { Log } from './log.js';
+import { PackageInfo } from './package_info.js';
+import { game_version, game_release_display } from './polyfill.js';
+import { VERSION } from './version.js';
+
+
+//*********************
+// Bug reports
+
+/*
+ * Generates a bug report bundle, containing:
+ * - The Foundry and library versions
+ * - Every active package, with its version and whether it is compatible with the running Foundry version
+ * - The records in the logger's history (see 'Logger.enable_history')
+ */
+export const generate_bug_report = function(logger=Log) {
+	const packages = PackageInfo.active_packages.map((pkg) => {
+		return {
+			key                 : pkg.key,
+			title               : pkg.title,
+			version             : pkg.version ?? null,
+			compatible_with_core: pkg.compatible_with_core
+		};
+	});
+
+	return {
+		generated: new Date().toISOString(),
+		foundry  : {
+			version: game_version(/*return_null=*/ true),
+			display: game_release_display(/*return_null=*/ true)
+		},
+		library  : {
+			id     : PACKAGE_ID,
+			version: VERSION.full,
+			git    : VERSION.git ?? null
+		},
+		packages : packages,
+		log      : (logger.history?.records ?? []).map((x) => x.toJSON())
+	};
+}
+
+// Converts a bug report bundle into human-readable text
+export const bug_report_to_text = function(report) {
+	const lines = [
+		`${PACKAGE_TITLE} bug report, generated ${report.generated}`,
+		`Foundry VTT: ${report.foundry.display ?? report.foundry.version ?? 'unknown'}`,
+		`${report.library.id}: ${report.library.version}${report.library.git ? ` (${report.library.git})` : ''}`,
+		'',
+		`Active packages (${report.packages.length}):`
+	];
+
+	for(const pkg of report.packages)
+		lines.push(`  - ${pkg.key} ${pkg.version ?? '?'}${pkg.compatible_with_core ? '' : ' [INCOMPATIBLE]'}`);
+
+	lines.push('', `Log (${report.log.length} records):`);
+
+	for(const record of report.log)
+		lines.push(`${record.timestamp} [${record.verbosity}] ${record.logger}: ${record.message}`);
+
+	return lines.join('\n');
+}
+
+/*
+ * Generates a bug report and downloads it as a file. 'format' is either 'json' or 'text'.
+ */
+export const download_bug_report = function(format='json', logger=Log) {
+	const report = generate_bug_report(logger);
+
+	let data, type, extension;
+	if(format === 'json') {
+		data      = JSON.stringify(report, null, 2);
+		type      = 'application/json';
+		extension = 'json';
+	}
+	else if(format === 'text') {
+		data      = bug_report_to_text(report);
+		type      = 'text/plain';
+		extension = 'txt';
+	}
+	else {
+		throw new ERRORS.internal(`Unknown bug report format '${format}'.`);
+	}
+
+	const filename = `${PACKAGE_ID}-bug-report-${report.generated.replace(/[:.]/g, '-')}.${extension}`;
+
+	// Prefer Foundry's own helper
+	const save_data_to_file = globalThis.foundry?.utils?.saveDataToFile ?? globalThis.saveDataToFile;
+	if(save_data_to_file) {
+		save_data_to_file(data, type, filename);
+		return report;
+	}
+
+	// Fallback to a temporary link
+	if(!globalThis.document || !globalThis.URL?.createObjectURL)
+		throw new ERRORS.internal('Downloading bug reports requires a browser environment.');
+
+	const url = URL.createObjectURL(new Blob([data], {type}));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+
+	return report;
+}
\ No newline at end of file
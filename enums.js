@@ -7,8 +7,128 @@
 import {PACKAGE_TITLE} from '../consts.js';
 
 
+//*********************
+// Localisation
+
+/*
+ * Function used to localise enum value labels and descriptions.
+ * Set by 'i18n.js', as importing it here would create a circular dependency. Defaults to returning the key unchanged.
+ */
+let LOCALIZER = (key) => key;
+
+export const set_enum_localizer = function(localizer) {
+	if(typeof localizer !== 'function')
+		throw new Error(`${PACKAGE_TITLE}: Enum localizer must be a function.`);
+
+	LOCALIZER = localizer;
+}
+
+// Marker for collection entries that carry metadata, see 'EnumEntry'
+class EnumEntryMarker {
+	constructor(value, meta) {
+		this.value = value;
+		this.meta  = meta;
+		Object.freeze(this);
+	}
+}
+
+/*
+ * Wraps a collection entry to attach metadata to it (see 'EnumValue'). Entries that are not wrapped are always used as plain values,
+ * even if they are objects. 'value' can be 'undefined' for enums whose members have no value.
+ *
+ * Usage Example:
+ *   Enum('Severity', {
+ *     "LOW" : EnumEntry(1, {label: 'Low', icon: 'fa-info'}),
+ *     "HIGH": EnumEntry(2, {i18n: 'my-module.severity.high'})
+ *   });
+ */
+export const EnumEntry = function(value, meta={}) {
+	if(typeof meta !== 'object' || meta === null)
+		throw new Error(`${PACKAGE_TITLE}: Enum entry metadata must be an object.`);
+
+	return new EnumEntryMarker(value, meta);
+}
+
+// Splits a collection entry into its value and metadata
+const split_value_meta = function(entry) {
+	if(entry instanceof EnumEntryMarker)
+		return [entry.value, entry.meta];
+
+	return [entry, {}];
+}
+
+
+// Levenshtein distance between two strings, used for "did you mean" suggestions
+const edit_distance = function(a, b) {
+	let prev = Array.from({length: b.length + 1}, (_, i) => i);
+
+	for(let i = 1; i <= a.length; i++) {
+		const curr = [i];
+		for(let j = 1; j <= b.length; j++)
+			curr[j] = Math.min(prev[j] + 1, curr[j-1] + 1, prev[j-1] + ((a[i-1] === b[j-1]) ? 0 : 1));
+		prev = curr;
+	}
+
+	return prev[b.length];
+}
+
+// Returns the accepted spelling closest to 'value', or 'null' if none is close enough
+const suggest_spelling = function(enum_cls, value) {
+	if(typeof value !== 'string')
+		return null;
+
+	const upper = value.trim().toUpperCase();
+	const max_distance = Math.max(1, Math.floor(upper.length / 3));
+
+	let best = null;
+	let best_distance = Infinity;
+	for(const spelling of enum_cls.spellings) {
+		const distance = edit_distance(upper, spelling);
+		if(distance <= max_distance && distance < best_distance) {
+			best = spelling;
+			best_distance = distance;
+		}
+	}
+
+	return best;
+}
+
+
+//*********************
+// Enumeration Alias factory
+// Adds an alternative name for an existing value, resolved case-insensitively by 'get' (and 'has' if requested)
+export const EnumAlias = function(enum_cls, alias, value_obj) {
+	// Sanity check for a frozen object
+	if(Object.isFrozen(enum_cls))
+		throw new Error(`${PACKAGE_TITLE}: Enum '${enum_cls.name}' is frozen.`);
+
+	if(typeof alias !== 'string' || !alias)
+		throw new Error(`${PACKAGE_TITLE}: Enum aliases must be non-empty strings.`);
+
+	if(!enum_cls.has(value_obj))
+		throw new Error(`${PACKAGE_TITLE}: Alias '${alias}' must point to a value of ${enum_cls.name}, got '${value_obj}'.`);
+
+	const upper = alias.toUpperCase();
+	if(upper in enum_cls || enum_cls.aliases.has(upper))
+		throw new Error(`${PACKAGE_TITLE}: Name '${upper}' is already present in ${enum_cls.name}.`);
+
+	enum_cls.aliases.set(upper, value_obj);
+	return value_obj;
+}
+
+
+//*********************
 // Enumeration Value factory
-export const EnumValue = function(enum_cls, name, value, sort=true) {
+/*
+ * 'meta' is an optional metadata object, with any of the following (or custom) keys:
+ * - label      : Display text, used if there is no 'i18n' key. Defaults to the name.
+ * - i18n       : Localisation key for the label.
+ * - description: Description text or localisation key.
+ * - icon       : Icon, e.g. a Font Awesome class.
+ * - deprecated : Whether this value is deprecated.
+ * - aliases    : List of alternative names for this value (see 'EnumAlias').
+ */
+export const EnumValue = function(enum_cls, name, value, sort=true, meta={}) {
 	// Sanity check for a frozen object
 	if(Object.isFrozen(enum_cls))
 		throw new Error(`${PACKAGE_TITLE}: Enum '${enum_cls.name}' is frozen.`);
@@ -28,6 +148,8 @@ export const EnumValue = function(enum_cls, name, value, sort=true) {
 	if(value !== undefined)
 		value_obj.value = value;
 
+	value_obj.meta = Object.freeze({...meta});
+
 	// We always freeze the temporary value class we just created
 	Object.freeze(value_obj);
 	Object.freeze(value_obj.prototype);
@@ -46,6 +168,10 @@ export const EnumValue = function(enum_cls, name, value, sort=true) {
 		enum_cls.reverse.set(value, value_obj);
 	}
 
+	// Store aliases
+	for(const alias of meta.aliases ?? [])
+		EnumAlias(enum_cls, alias, value_obj);
+
 	// Store key into list of keys - no need to check for duplicates
 	enum_cls.list.push(value_obj);
 	if(sort)
@@ -57,8 +183,85 @@ export const EnumValue = function(enum_cls, name, value, sort=true) {
 
 
 
+// Bitflag helpers
+
+// Flag values must be powers of two that fit in the 32-bit integers used by bitwise operators
+const is_flag_value = function(value) {
+	return Number.isInteger(value) && value > 0 && value <= 0x40000000 && (value & (value - 1)) === 0;
+}
+
+// Converts a flag, flag name, combined flag string ('READ|WRITE') or integer into an integer
+const flag_to_int = function(enum_cls, flag) {
+	return enum_cls.get(flag).value;
+}
+
+// Returns the (cached) enum value object for an integer containing multiple flags
+const EnumFlagCombination = function(enum_cls, value) {
+	const existing = enum_cls.reverse.get(value) ?? enum_cls.combinations.get(value);
+	if(existing)
+		return existing;
+
+	if(!Number.isInteger(value) || value < 0 || (value & ~enum_cls.mask) !== 0)
+		throw new Error(`${PACKAGE_TITLE}: '${value}' is not a valid combination of flags for the enum ${enum_cls.name}.`);
+
+	// Name the combination after its flags, e.g. 'READ|WRITE'
+	const name = enum_cls.list.filter((x) => x.value && (value & x.value) === x.value).map((x) => x.name).join('|') || 'NONE';
+
+	// Note: Class names cannot contain '|' when using 'Function', so we use the object literal trick here
+	const value_cls = {[name]: class extends enum_cls.value_cls {}}[name];
+	const value_obj = new value_cls();
+	value_obj.value = value;
+	value_obj.meta  = Object.freeze({});
+
+	Object.freeze(value_obj);
+	Object.freeze(value_cls);
+	Object.freeze(value_cls.prototype);
+
+	enum_cls.combinations.set(value, value_obj);
+	return value_obj;
+}
+
+// Extra members of the value class of flag enums
+const FLAG_VALUE_MEMBERS = {
+	// Whether all bits of 'flag' are set in this value
+	has(flag) {
+		const flag_int = flag_to_int(this.enum, flag);
+		return (this.value & flag_int) === flag_int;
+	},
+
+	or(...flags) {
+		return this.enum.combine(this, ...flags);
+	},
+
+	and(...flags) {
+		const value = flags.reduce((acc, x) => acc & flag_to_int(this.enum, x), this.value);
+		return EnumFlagCombination(this.enum, value);
+	},
+
+	xor(...flags) {
+		const value = flags.reduce((acc, x) => acc ^ flag_to_int(this.enum, x), this.value);
+		return EnumFlagCombination(this.enum, value);
+	},
+
+	not() {
+		return EnumFlagCombination(this.enum, ~this.value & this.enum.mask);
+	},
+
+	// List of the individual flags set in this value
+	get flags() {
+		return this.enum.list.filter((x) => x.value && (this.value & x.value) === x.value);
+	},
+
+	// Allows using the native bitwise operators, e.g. 'Enum.get(READ | WRITE)'
+	valueOf() {
+		return this.value;
+	}
+};
+
+
+
 // Enumeration factory
-export const Enum = function(name, collection, freeze=true) {
+export const Enum = function(name, collection, freeze=true, flags=false) {
 	let value_cls;
 
 	// Validate name
@@ -69,8 +272,6 @@ export const Enum = function(name, collection, freeze=true) {
 	if(typeof collection !== "object")
 		throw new Error(`${PACKAGE_TITLE}: Enum collection must be a dictionary or an array`);
 
-	const has_value = !(collection instanceof Array);
-
 	// Enum class
 	const enum_name = `${name}Enum`;
 	const enum_cls = {
@@ -84,11 +285,22 @@ export const Enum = function(name, collection, freeze=true) {
 				if(value instanceof value_cls)
 					return value;
 
-				// If passing a key, return the corresponding object
+				// If passing a key or alias, return the corresponding object (case-insensitive)
 				if(typeof value === "string") {
-					const res = this[value.toUpperCase()];
+					const res = this.lookup(value);
 					if(res)
 						return res;
+
+					// Flag enums always accept 'NONE' for the empty combination, since that is its name even without a 'NONE' flag
+					if(flags && value.trim().toUpperCase() === 'NONE')
+						return EnumFlagCombination(this, 0);
+
+					// Flag enums also accept combined keys, e.g. 'READ|WRITE'
+					if(flags && value.includes('|')) {
+						const combined = value.split('|').map((x) => this.get(x.trim(), null));
+						if(combined.every((x) => x !== null))
+							return this.combine(...combined);
+					}
 				}
 
 				// If we got something else, this might be the actual enum "value" field
@@ -106,17 +318,57 @@ export const Enum = function(name, collection, freeze=true) {
 					// Return the enum value if we found it
 					if(reverse !== undefined)
 						return reverse;
+
+					// Flag enums also accept integers containing multiple flags
+					if(flags) {
+						const value_int = (typeof value === 'string') ? parseInt(value) : value;
+						if(Number.isInteger(value_int) && value_int >= 0 && (value_int & ~this.mask) === 0)
+							return EnumFlagCombination(this, value_int);
+					}
 				}
 
 				// Fail or return default value
-				if(dflt === undefined)
-					throw new Error(`${PACKAGE_TITLE}: '${value}' is not a valid key or value for the enum ${name}.`);
+				if(dflt === undefined) {
+					const suggestion = suggest_spelling(this, value);
+					const hint = suggestion ? ` Did you mean '${suggestion}'?` : ` Accepted values are: ${this.spellings.join(', ')}.`;
+					throw new Error(`${PACKAGE_TITLE}: '${value}' is not a valid key or value for the enum ${name}.${hint}`);
+				}
 
 				return dflt;
 			}
 
-			static has(value) {
-				return (value instanceof value_cls);
+			// Returns the value with the given name or alias (case-insensitive), or 'undefined'
+			static lookup(key) {
+				const upper = key.trim().toUpperCase();
+
+				const res = this[upper];
+				if(res instanceof value_cls)
+					return res;
+
+				return this.aliases.get(upper);
+			}
+
+			// Whether 'value' is a value of this enum. If 'keys' is true, names and aliases are accepted too.
+			static has(value, keys=false) {
+				if(value instanceof value_cls)
+					return true;
+
+				return keys && (typeof value === 'string') && (this.lookup(value) !== undefined);
+			}
+
+			// All accepted names, including aliases, in uppercase
+			static get spellings() {
+				return [...this.list.map((x) => x.name), ...this.aliases.keys()];
+			}
+
+			// Returns the first value for which 'predicate' returns true, or 'undefined'
+			static find(predicate) {
+				return this.list.find(predicate);
+			}
+
+			// Returns all values whose metadata key 'meta_key' equals 'value', e.g. 'where("deprecated", true)'
+			static where(meta_key, value) {
+				return this.list.filter((x) => x.meta[meta_key] === value);
 			}
 
 			static toString() {
@@ -159,28 +411,82 @@ export const Enum = function(name, collection, freeze=true) {
 			get lower() {
 				return this.name.toLowerCase();
 			}
+
+			// Display text, localised if the metadata has an 'i18n' key
+			get label() {
+				if(this.meta.i18n)
+					return LOCALIZER(this.meta.i18n);
+				return this.meta.label ?? this.name;
+			}
+
+			get description() {
+				return this.meta.description ? LOCALIZER(this.meta.description) : null;
+			}
+
+			get icon() {
+				return this.meta.icon ?? null;
+			}
+
+			get deprecated() {
+				return !!this.meta.deprecated;
+			}
 		}
 	}[value_cls_name];
 
+	if(flags) {
+		const descriptors = Object.getOwnPropertyDescriptors(FLAG_VALUE_MEMBERS);
+		for(const key in descriptors)
+			descriptors[key].enumerable = false;
+		Object.defineProperties(value_cls.prototype, descriptors);
+	}
+
 	// We always freeze the value class
 	Object.freeze(value_cls);
 	Object.freeze(value_cls.prototype);
 
 	// Extra Enum Class members
 	enum_cls.list    = [];
+	enum_cls.aliases = new Map();
 
-	if(has_value)
-		enum_cls.reverse = new Map();
+	// Always created, even for enums without values, as values can be added later (e.g. through 'EnumValue')
+	enum_cls.reverse = new Map();
+
+	if(flags) {
+		enum_cls.flags        = true;
+		enum_cls.mask         = 0;
+		enum_cls.combinations = new Map();
+
+		// Combine flags, e.g. 'combine(READ, WRITE)', 'combine("READ|WRITE")' or 'combine(3)'
+		enum_cls.combine = function(...values) {
+			return EnumFlagCombination(this, values.reduce((acc, x) => acc | flag_to_int(this, x), 0));
+		};
+	}
 
 	// Construct enum values
-	if(collection instanceof Array) {
+	if(flags) {
+		// Flags listed in an array get consecutive powers of two
+		const entries = (collection instanceof Array) ? collection.map((key, i) => [key, 1 << i]) : Object.entries(collection);
+
+		for(const [key, entry] of entries) {
+			const [value, meta] = split_value_meta(entry);
+
+			if(value !== 0 && !is_flag_value(value))
+				throw new Error(`${PACKAGE_TITLE}: Flag '${key}' of enum ${name} must be 0 or a power of two, got '${value}'.`);
+
+			EnumValue(enum_cls, key, value, /*sort=*/false, meta);
+			enum_cls.mask |= value;
+		}
+	}
+	else if(collection instanceof Array) {
 		for(const key of collection) {
 			EnumValue(enum_cls, key, undefined, /*sort=*/false);
 		}
 	}
 	else {
+		// Values wrapped with 'EnumEntry' also carry metadata
 		for(const key in collection) {
-			EnumValue(enum_cls, key, collection[key], /*sort=*/false);
+			const [value, meta] = split_value_meta(collection[key]);
+			EnumValue(enum_cls, key, value, /*sort=*/false, meta);
 		}
 	}
 
@@ -191,11 +497,24 @@ export const Enum = function(name, collection, freeze=true) {
 		Object.freeze(enum_cls);
 		Object.freeze(enum_cls.prototype);
 		Object.freeze(enum_cls.list);
-
-		if(has_value)
-			Object.freeze(enum_cls.reverse);
+		Object.freeze(enum_cls.reverse);
 	}
 
 	// Done
 	return enum_cls;
+}
+
+
+/*
+ * Bitflag enumeration factory. Values are powers of two, and can be combined into values named after their flags, e.g. 'READ|WRITE'.
+ * If 'collection' is an array, flags get consecutive powers of two in order. A 0-valued flag (e.g. 'NONE') is also allowed.
+ *
+ * Usage Example:
+ *   const PERMISSIONS = FlagEnum('Permission', ['READ', 'WRITE', 'EXECUTE']);
+ *   const rw = PERMISSIONS.get('READ|WRITE');   // Same as PERMISSIONS.READ.or(PERMISSIONS.WRITE), or PERMISSIONS.get(READ | WRITE)
+ *   rw.has(PERMISSIONS.WRITE);                  // true
+ *   rw.not().toString();                        // 'EXECUTE'
+ */
+export const FlagEnum = function(name, collection, freeze=true) {
+	return Enum(name, collection, freeze, /*flags=*/ true);
 }
\ No newline at end of file
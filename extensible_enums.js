@@ -0,0 +1,158 @@
+// SPDX-License-Identifier: LGPL-3.0-or-later
+// Copyright © 2021 fvtt-shared-library Rui Pinheiro
+
+'use strict';
+
+import { PACKAGE_TITLE, IS_UNITTEST } from '../consts.js';
+import { Enum, EnumValue } from './enums.js';
+import { PackageInfo, PACKAGE_TYPES } from './package_info.js';
+import { Log } from './log.js';
+
+
+//*********************
+// Constants
+
+// Extensible enums that should be sealed once Foundry fires the 'ready' hook
+const SEAL_ON_READY = new Set();
+
+
+//*********************
+// Utility functions
+
+// Converts a package ID into an enum key prefix, e.g. 'my-system' => 'MY_SYSTEM'
+const namespace_for_package = function(pkg) {
+	const namespace = pkg.id.toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+	return /^[0-9]/.test(namespace) ? `_${namespace}` : namespace;
+}
+
+// Calls the listeners of an enum, making sure a failing listener does not affect the others
+const notify_listeners = function(enum_cls, value_obj, pkg) {
+	for(const listener of enum_cls.listeners) {
+		try {
+			listener(value_obj, pkg, enum_cls);
+		}
+		catch(e) {
+			Log.error(`Listener for additions to the enum ${enum_cls.name} threw an exception.\n`, e);
+		}
+	}
+}
+
+
+//*********************
+// Extensible enumeration factory
+/*
+ * Creates an Enum that other packages can add values to at runtime through 'extend', until it is sealed.
+ *
+ * Each added value records the package that registered it in 'meta.package' (also available through 'owner'). Built-in values
+ * have no owner.
+ *
+ * Options:
+ * - namespaced  : If true (default), added names are prefixed with the registering package ID, e.g. 'MY_SYSTEM_VEHICLE'.
+ *                 Otherwise names are used as-is, and registering an existing name throws an error naming its owner.
+ * - seal_on_ready: If true (default), the enum is sealed once the 'ready' hook fires.
+ *
+ * Usage Example:
+ *   export const ACTOR_KINDS = ExtensibleEnum('ActorKind', ['CHARACTER', 'NPC']);
+ *
+ *   // In another package, before 'ready'
+ *   ACTOR_KINDS.on_extend((value, pkg) => console.log(`${pkg.key} added ${value}`));
+ *   const VEHICLE = ACTOR_KINDS.extend('VEHICLE', undefined, {label: 'Vehicle'}); // => ACTOR_KINDS.MY_SYSTEM_VEHICLE
+ */
+export const ExtensibleEnum = function(name, collection, {namespaced=true, seal_on_ready=true}={}) {
+	const enum_cls = Enum(name, collection, /*freeze=*/ false);
+
+	enum_cls.namespaced = namespaced;
+	enum_cls.listeners  = new Set();
+
+	/*
+	 * Adds a value to the enum and returns it. 'meta' is the value metadata (see 'EnumValue').
+	 * 'pkg' is the registering package, and is detected from the call stack if omitted. Throws if it cannot be detected.
+	 */
+	enum_cls.extend = function(key, value=undefined, meta={}, pkg=undefined) {
+		if(this.sealed)
+			throw new Error(`${PACKAGE_TITLE}: Enum ${this.name} is sealed, and can no longer be extended.`);
+
+		if(typeof key !== 'string' || !/^[A-Z][A-Z0-9_]*$/i.test(key))
+			throw new Error(`${PACKAGE_TITLE}: Enum ${this.name} keys must be identifiers, got '${key}'.`);
+
+		// Values must have an owner, so never register them on behalf of a package that could not be detected
+		if(pkg === undefined) {
+			pkg = PackageInfo.detect();
+			if(pkg.type === PACKAGE_TYPES.UNKNOWN)
+				throw new Error(`${PACKAGE_TITLE}: Unable to determine which package is adding '${key}' to the enum ${this.name}. Please pass the package explicitly.`);
+		}
+		else {
+			pkg = PackageInfo.get(pkg);
+		}
+
+		const full_key = this.namespaced ? `${namespace_for_package(pkg)}_${key.toUpperCase()}` : key.toUpperCase();
+
+		// Report collisions with the package that owns the existing value
+		const existing = this.lookup(full_key);
+		if(existing) {
+			const owner = this.owner(existing);
+			throw new Error(`${PACKAGE_TITLE}: Cannot add '${full_key}' to the enum ${this.name} for ${pkg.type_plus_id}, as it is already registered by ${owner ? owner.type_plus_id : PACKAGE_TITLE}.`);
+		}
+
+		const value_obj = EnumValue(this, full_key, value, /*sort=*/ true, {...meta, package: pkg});
+		notify_listeners(this, value_obj, pkg);
+
+		return value_obj;
+	};
+
+	// The package that registered a value, or 'null' for built-in values
+	enum_cls.owner = function(value) {
+		return this.get(value).meta.package ?? null;
+	};
+
+	// Values registered by a given package
+	enum_cls.values_of = function(pkg) {
+		pkg = PackageInfo.get(pkg);
+		return this.list.filter((x) => x.meta.package === pkg);
+	};
+
+	// Registers a listener called with '(value, package, enum)' every time a value is added. Returns a function that unregisters it.
+	enum_cls.on_extend = function(listener) {
+		if(typeof listener !== 'function')
+			throw new Error(`${PACKAGE_TITLE}: Enum listeners must be functions.`);
+
+		this.listeners.add(listener);
+		return () => this.off_extend(listener);
+	};
+
+	enum_cls.off_extend = function(listener) {
+		return this.listeners.delete(listener);
+	};
+
+	// Prevents any further values from being added
+	enum_cls.seal = function() {
+		if(this.sealed)
+			return;
+
+		SEAL_ON_READY.delete(this);
+		this.listeners.clear();
+
+		Object.freeze(this.list);
+		Object.freeze(this);
+	};
+
+	Object.defineProperty(enum_cls, 'sealed', {
+		get: function() { return Object.isFrozen(this); },
+		configurable: false
+	});
+
+	if(seal_on_ready)
+		SEAL_ON_READY.add(enum_cls);
+
+	return enum_cls;
+}
+
+
+//*********************
+// Seal enums once all packages had the chance to extend them
+if(!IS_UNITTEST) {
+	Hooks.once('ready', () => {
+		for(const enum_cls of [...SEAL_ON_READY])
+			enum_cls.seal();
+	});
+}
\ No newline at end of file
@@ -6,6 +6,7 @@
 import { IS_UNITTEST, PACKAGE_ID } from "../consts.js";
 import { game_settings_get } from "./polyfill.js";
 import { Log } from "./log.js";
+import { set_enum_localizer } from "./enums.js";
 
 
 // We want to load the EN language by default, in order to use it for polyfill while i18n hasn't loaded yet
@@ -168,6 +169,9 @@ export class i18n {
 	}
 }
 
+// Allow enum value labels to be localised
+set_enum_localizer((key) => i18n.localize(key));
+
 // Set up a hook to cleanup once we are no longer a polyfill
 if(!IS_UNITTEST)
 	Hooks.once('ready', i18n.on_ready.bind(i18n));
\ No newline at end of file
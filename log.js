@@ -3,30 +3,28 @@
 
 'use strict';
 
-import { PACKAGE_ID, PACKAGE_TITLE } from "../consts.js";
-import { Enum } from './enums.js';
+import { PACKAGE_ID, PACKAGE_TITLE, IS_UNITTEST } from "../consts.js";
+import { Enum, EnumValue, EnumEntry } from './enums.js';
 import { game_settings_get } from "./polyfill.js";
 import { ERRORS } from '../errors/errors.js';
+import { LogRecord, LogSink, ConsoleSink, RingBufferSink } from './log_sinks.js';
+import { Span } from './log_spans.js';
 
 
 //*********************
 // Constants
-export const VERBOSITY = Enum('PackageType', {
-	"ZERO"    :   0,
+
+// Note: Not frozen, so that custom verbosities can be added through 'register_verbosity'
+export const VERBOSITY = Enum('Verbosity', {
+	"ZERO"    : EnumEntry(  0, {aliases: ['NEVER', 'ALL']}),
 	"TRACE"   : 100,
 	"DEBUG"   : 200,
 	"INFO"    : 300,
-	"WARNING" : 400,
+	"WARNING" : EnumEntry(400, {aliases: ['WARN']}),
 	"ERROR"   : 500,
 	"CRITICAL": Number.MAX_SAFE_INTEGER - 1,
 	"ALWAYS"  : Number.MAX_SAFE_INTEGER
-});
-
-const VERBOSITY_ALIASES_MAP = {
-	"NEVER": VERBOSITY.ZERO,
-	"ALL"  : VERBOSITY.ZERO,
-	"WARN" : VERBOSITY.WARNING
-}
+}, /*freeze=*/ false);
 
 const VERBOSITY_CONSOLEFN_MAP = {
 	[VERBOSITY.ZERO    .value]: [console, 'debug'],
@@ -52,24 +50,51 @@ const LOG_ALIASES_VERBOSITY_MAP = {
 };
 
 
-const LOG_PREFIX = `${PACKAGE_TITLE}:`;
-const LOG_PREFIX_VERBOSITY_MAP = {
-	[VERBOSITY.ZERO    .value]: `[0] ${LOG_PREFIX}`,
-	[VERBOSITY.TRACE   .value]: `[T] ${LOG_PREFIX}`,
-	[VERBOSITY.DEBUG   .value]: `[D] ${LOG_PREFIX}`,
-	[VERBOSITY.INFO    .value]: `[I] ${LOG_PREFIX}`,
-	[VERBOSITY.WARNING .value]: `[W] ${LOG_PREFIX}`,
-	[VERBOSITY.ERROR   .value]: `[E] ${LOG_PREFIX}`,
-	[VERBOSITY.CRITICAL.value]: `[!] ${LOG_PREFIX}`,
-	[VERBOSITY.ALWAYS  .value]: LOG_PREFIX
+// Per-verbosity tags prepended to the logger title, e.g. '[W] libWrapper:'
+const LOG_TAG_VERBOSITY_MAP = {
+	[VERBOSITY.ZERO    .value]: '[0] ',
+	[VERBOSITY.TRACE   .value]: '[T] ',
+	[VERBOSITY.DEBUG   .value]: '[D] ',
+	[VERBOSITY.INFO    .value]: '[I] ',
+	[VERBOSITY.WARNING .value]: '[W] ',
+	[VERBOSITY.ERROR   .value]: '[E] ',
+	[VERBOSITY.CRITICAL.value]: '[!] ',
+	[VERBOSITY.ALWAYS  .value]: ''
+};
+
+// Per-verbosity CSS styles applied to the tags when styled output is enabled (see 'Logger.styled')
+const LOG_STYLE_VERBOSITY_MAP = {
+	[VERBOSITY.ZERO    .value]: 'color: gray',
+	[VERBOSITY.TRACE   .value]: 'color: gray',
+	[VERBOSITY.DEBUG   .value]: 'color: #4a90d9',
+	[VERBOSITY.INFO    .value]: 'color: #2e9e5b',
+	[VERBOSITY.WARNING .value]: 'color: #d08c00; font-weight: bold',
+	[VERBOSITY.ERROR   .value]: 'color: #d0342c; font-weight: bold',
+	[VERBOSITY.CRITICAL.value]: 'color: white; background: #d0342c; font-weight: bold',
+	[VERBOSITY.ALWAYS  .value]: ''
 };
 
+// CSS style applied to the logger title when styled output is enabled, unless the logger has its own 'color'
+const DEFAULT_TITLE_STYLE = 'font-weight: bold';
 
-//*********************
-// Variables
+// Browsers (including Electron) support '%c' styling in the console, but Node.js does not
+const SUPPORTS_CONSOLE_STYLES = (typeof globalThis.document !== 'undefined');
+
+// Default verbosity, used when neither a logger nor its parents have a verbosity set
+const DEFAULT_VERBOSITY = VERBOSITY.WARNING;
+
+// Default sink used by the root logger
+export const CONSOLE_SINK = new ConsoleSink({name: 'console'});
+
+// URL query parameter and sessionStorage key used for temporary verbosity overrides, e.g. '?log=debug,my-module:trace'
+const OVERRIDE_QUERY_PARAM = 'log';
+const OVERRIDE_STORAGE_KEY = `${PACKAGE_ID}.log-override`;
 
-// Current verbosity. Setting it to 'null' or 'undefined' results in the default verbosity value being used.
-let CURRENT_VERBOSITY = null;
+// Key used in the verbosity overrides for entries without a logger name, which apply to the root logger
+const ROOT_OVERRIDE_KEY = '';
+
+// Map of logger names to temporary verbosity overrides. Loggers created later also pick up their override from here.
+const VERBOSITY_OVERRIDES = new Map();
 
 
 //*********************
@@ -89,7 +114,7 @@ export const verbosity_to_mapped_value = function(verbosity, map, dflt) {
 	// If the value is in the map, just use it
 	{
 		const result = map[value];
-		if(result)
+		if(result !== undefined)
 			return result;
 	}
 
@@ -105,104 +130,427 @@ export const verbosity_to_mapped_value = function(verbosity, map, dflt) {
 	return dflt;
 }
 
+// Converts a verbosity name, alias or integer (e.g. 'debug', 'warn' or '200') into a verbosity
+export const verbosity_from_string = function(str) {
+	const trimmed = String(str).trim();
+
+	const verbosity = VERBOSITY.lookup(trimmed);
+	if(verbosity)
+		return verbosity;
+
+	const value = Number(trimmed);
+	if(trimmed && Number.isInteger(value))
+		return value;
+
+	throw new ERRORS.internal(`'${str}' is not a valid verbosity.`);
+}
+
 function verbosity_to_log_function(verbosity) {
 	return verbosity_to_mapped_value(verbosity, VERBOSITY_CONSOLEFN_MAP, [console, 'log']);
 }
 
-function verbosity_to_log_prefix(verbosity, suffix) {
-	return verbosity_to_mapped_value(verbosity, LOG_PREFIX_VERBOSITY_MAP, LOG_PREFIX);
+function verbosity_to_log_prefix(verbosity, title) {
+	const tag = verbosity_to_mapped_value(verbosity, LOG_TAG_VERBOSITY_MAP, '');
+	return `${tag}${title}:`;
+}
+
+// Returns the list of arguments used as the console prefix, e.g. ['%c[W] %clibWrapper:', <tag style>, <title style>]
+function verbosity_to_console_prefix(verbosity, logger) {
+	if(!logger.styled || !SUPPORTS_CONSOLE_STYLES)
+		return [verbosity_to_log_prefix(verbosity, logger.title)];
+
+	const tag = verbosity_to_mapped_value(verbosity, LOG_TAG_VERBOSITY_MAP, '');
+	const tag_style = verbosity_to_mapped_value(verbosity, LOG_STYLE_VERBOSITY_MAP, '');
+	const title_style = logger.color ? `color: ${logger.color}; ${DEFAULT_TITLE_STYLE}` : DEFAULT_TITLE_STYLE;
+
+	return [`%c${tag}%c${logger.title}:`, tag_style, title_style];
 }
 
-function generate_verbosity_aliases() {
+function generate_verbosity_aliases(logger) {
 	for(const verbosity of VERBOSITY.list) {
-		Log[verbosity.name] = verbosity;
+		logger[verbosity.name] = verbosity;
 	}
 
-	for(const alias in VERBOSITY_ALIASES_MAP) {
-		Log[alias] = VERBOSITY_ALIASES_MAP[alias];
+	for(const [alias, verbosity] of VERBOSITY.aliases) {
+		logger[alias] = verbosity;
 	}
 }
 
-function generate_enabled_aliases() {
+function generate_enabled_aliases(logger) {
 	for(const alias in LOG_ALIASES_VERBOSITY_MAP) {
 		const verbosity = LOG_ALIASES_VERBOSITY_MAP[alias];
 
-		Object.defineProperty(Log, `has_${alias}`, {
-			get: Log.enabled.bind(Log, verbosity),
+		// Aliases cannot be redefined, so skip the ones generated previously
+		if(Object.prototype.hasOwnProperty.call(logger, `has_${alias}`))
+			continue;
+
+		Object.defineProperty(logger, `has_${alias}`, {
+			get: logger.enabled.bind(logger, verbosity),
 			configurable: false
 		});
 	}
 }
 
-function generate_log_aliases() {
+function generate_log_aliases(logger) {
 	// Generic log aliases
 	for(const alias in LOG_ALIASES_VERBOSITY_MAP) {
 		const verbosity = LOG_ALIASES_VERBOSITY_MAP[alias];
 
-		const fn = Log.fn(verbosity);
+		const fn = logger.fn(verbosity);
+		if(fn)
+			attach_rate_limiters(logger, verbosity, fn);
 
 		// Default logging function, logs or does nothing depending on enabled verbosity
-		Log[alias      ] = fn ?? (()=>{});
+		logger[alias      ] = fn ?? NOOP_LOG_FN;
 
 		// $-suffixed logging functions allow using optional chaining '?.' to easily skip evaluating
 		// the function arguments (e.g. skip building the log message)
 		// if the function would otherwise do nothing because of verbosity
-		Log[`${alias}$`] = fn;
+		logger[`${alias}$`] = fn;
 	}
 
 	// Stack trace helper
-	Log.stack = (console.trace && Log.has_trace) ? console.trace.bind(console) : (()=>{});
+	logger.stack = (console.trace && logger.has_trace) ? console.trace.bind(console) : (()=>{});
+}
+
+
+//*********************
+// Rate limiting
+
+// Minimum time between the summaries of messages suppressed by 'fn.once', in milliseconds
+const ONCE_SUMMARY_INTERVAL = 60 * 1000;
+
+// Logging function used for disabled verbosities, including its rate-limited variants
+const NOOP_LOG_FN = () => {};
+NOOP_LOG_FN.once     = NOOP_LOG_FN;
+NOOP_LOG_FN.every    = NOOP_LOG_FN;
+NOOP_LOG_FN.throttle = NOOP_LOG_FN;
+Object.freeze(NOOP_LOG_FN);
+
+// Returns the rate limiting state for a given logger, verbosity and key. State is kept in the logger so that it survives
+// the logging aliases being regenerated.
+function rate_limit_state(logger, kind, verbosity, key) {
+	const id = `${kind}:${verbosity_to_value(verbosity)}:${key}`;
+
+	let state = logger.rate_limits.get(id);
+	if(!state) {
+		state = {kind: kind, verbosity: verbosity, key: key, count: 0, suppressed: 0, last: -Infinity};
+		logger.rate_limits.set(id, state);
+	}
+
+	return state;
+}
+
+function suppressed_message(state) {
+	const count = state.suppressed;
+	return `Suppressed ${count} similar message${count === 1 ? '' : 's'} ('${state.key}').`;
+}
+
+// Logs a summary of the messages suppressed since the last time a message with this state was logged
+function log_suppressed(fn, state) {
+	if(!state.suppressed)
+		return;
+
+	fn(suppressed_message(state));
+	state.suppressed = 0;
+}
+
+/*
+ * Adds the rate-limited variants of a logging function:
+ * - fn.once(key, ...args)         : Logs only the first message with the given key.
+ * - fn.every(n, key, ...args)     : Logs only one of every 'n' messages with the given key.
+ * - fn.throttle(ms, key, ...args) : Logs at most one message with the given key every 'ms' milliseconds.
+ *
+ * Keys are per logger and per verbosity. When a message is logged after others with the same key were suppressed,
+ * a summary such as "Suppressed 99 similar messages" is logged right after it. As 'fn.once' never logs again, it instead logs
+ * the summary on the first suppressed message after 'ONCE_SUMMARY_INTERVAL' has passed since the message or the previous summary.
+ * 'Logger.flush_suppressed' logs every pending summary immediately.
+ *
+ * Note: These variants do not call the console functions directly, so the browser console shows this file as the caller.
+ */
+function attach_rate_limiters(logger, verbosity, fn) {
+	fn.once = (key, ...args) => {
+		const state = rate_limit_state(logger, 'once', verbosity, key);
+		const now = Date.now();
+
+		if(state.count++ === 0) {
+			state.last = now;
+			return fn(...args);
+		}
+
+		state.suppressed++;
+
+		if(now - state.last >= ONCE_SUMMARY_INTERVAL) {
+			state.last = now;
+			log_suppressed(fn, state);
+		}
+	};
+
+	fn.every = (n, key, ...args) => {
+		if(!Number.isInteger(n) || n <= 0)
+			throw new ERRORS.internal(`Parameter 'n' must be a positive integer, got '${n}'.`);
+
+		const state = rate_limit_state(logger, `every(${n})`, verbosity, key);
+
+		if(state.count++ % n !== 0) {
+			state.suppressed++;
+			return;
+		}
+
+		fn(...args);
+		log_suppressed(fn, state);
+	};
+
+	fn.throttle = (ms, key, ...args) => {
+		const state = rate_limit_state(logger, `throttle(${ms})`, verbosity, key);
+		const now = Date.now();
+
+		if(now - state.last < ms) {
+			state.suppressed++;
+			return;
+		}
+
+		state.last = now;
+		fn(...args);
+		log_suppressed(fn, state);
+	};
+}
+
+// Creates an object with the same logging aliases as 'logger', but where each message goes through the given rate limiter
+function rate_limited_view(logger, limiter, limit, key) {
+	const view = {logger: logger};
+
+	for(const alias in LOG_ALIASES_VERBOSITY_MAP) {
+		const log = (...args) => logger[alias][limiter](limit, key, ...args);
+
+		view[alias] = log;
+
+		// Like the logger's own '$' aliases, these are 'null' when the verbosity is disabled
+		Object.defineProperty(view, `${alias}$`, {
+			get: () => logger[`${alias}$`] ? log : null,
+			configurable: false
+		});
+	}
+
+	return Object.freeze(view);
+}
+
+
+
+//*********************
+// Groups
+
+// Console groups that are currently open, innermost last
+const OPEN_LOG_GROUPS = [];
+
+// Opens a group in the console sinks and returns a function to close it. Other sinks receive the label as a normal message.
+function open_log_group(logger, verbosity, label, sinks, collapsed) {
+	const console_fn = verbosity_to_log_function(verbosity);
+	const prefix = verbosity_to_log_prefix(verbosity, logger.title);
+	const console_prefix = verbosity_to_console_prefix(verbosity, logger);
+	const record = new LogRecord(logger, VERBOSITY.get(verbosity, verbosity), prefix, console_fn, [label], logger.structured, console_prefix);
+
+	let opened = false;
+	for(const sink of sinks) {
+		if(sink instanceof ConsoleSink) {
+			// Open the group only once, even if there are multiple console sinks
+			if(opened)
+				continue;
+
+			const group_fn = collapsed ? console.groupCollapsed : console.group;
+			if(group_fn) {
+				group_fn.call(console, ...console_prefix, label);
+				opened = true;
+				continue;
+			}
+		}
+
+		sink.write(record);
+	}
+
+	const group = {opened: opened};
+	OPEN_LOG_GROUPS.push(group);
+
+	return () => {
+		const idx = OPEN_LOG_GROUPS.lastIndexOf(group);
+		if(idx < 0)
+			return;
+
+		// Also close any nested groups that were not closed
+		while(OPEN_LOG_GROUPS.length > idx) {
+			if(OPEN_LOG_GROUPS.pop().opened)
+				console.groupEnd?.();
+		}
+	};
 }
 
 
 
 //*********************
-// Logging helper class
-export class Log {
+// Logger class
+// Each logger has its own name, prefix and verbosity. Child loggers (see 'child') inherit their parent's verbosity unless
+// they have their own verbosity set, or are created with 'inherit: false'.
+export class Logger {
+	/*
+	 * Constructor
+	 *
+	 * Options:
+	 * - parent   : Parent logger
+	 * - inherit  : Whether to inherit the parent's verbosity when this logger has none set. Defaults to 'true'.
+	 * - title    : Title used in the log prefix, e.g. '[W] <title>:'. Defaults to the name, or the package title.
+	 * - verbosity: Initial verbosity. Defaults to 'null', i.e. inherit or use the setting.
+	 * - setting  : [namespace, key] tuple for the setting used to configure the verbosity (see 'init'), or 'null' for none.
+	 *              Defaults to [<package id>, 'log-verbosity'] when 'name' is a PackageInfo.
+	 * - sinks    : List of sinks this logger writes to, in addition to its parent's sinks. Defaults to none for child loggers.
+	 * - propagate: Whether to also write to the parent's sinks. Defaults to 'true'.
+	 * - structured: Whether to use structured logging (see 'structured'). Defaults to 'null', i.e. inherit from the parent.
+	 * - styled   : Whether to style the console prefixes using CSS (see 'styled'). Defaults to 'null', i.e. inherit from the parent.
+	 * - color    : CSS color used for the title in styled console prefixes, e.g. to distinguish packages. Defaults to none.
+	 */
+	constructor(name, {parent=null, inherit=true, title=undefined, verbosity=null, setting=undefined, sinks=[], propagate=true, structured=null, styled=null, color=null}={}) {
+		// Support creating loggers for PackageInfo objects
+		let pkg = null;
+		if(typeof name === 'object' && name?.id !== undefined && name?.type !== undefined) {
+			pkg = name;
+			name = pkg.id;
+		}
+
+		if(typeof name !== 'string' || !name)
+			throw new ERRORS.internal(`Logger names must be non-empty strings, got '${name}'.`);
+
+		if(parent !== null && !(parent instanceof Logger))
+			throw new ERRORS.internal(`Parameter 'parent' must be a Logger, got '${parent}'.`);
+
+		this.name          = name;
+		this.package       = pkg;
+		this.title         = title ?? (pkg?.exists ? pkg.title : name);
+		this.parent        = parent;
+		this.inherit       = inherit;
+		this.children      = new Map();
+		this.setting       = (setting !== undefined) ? setting : (pkg ? [pkg.id, 'log-verbosity'] : null);
+		this.own_verbosity = null;
+		this.own_sinks     = [];
+		this.propagate     = propagate;
+		this.history       = null;
+		this.own_structured = structured;
+		this.own_styled    = styled;
+		this.color         = color;
+		this.rate_limits   = new Map();
+		this.rate_limited_views = new Map();
+		this.span_stats    = new Map();
+		this.override      = VERBOSITY_OVERRIDES.get(name) ?? null;
+
+		for(const sink of sinks)
+			this.add_sink(sink, /*refresh=*/ false);
+
+		// Generate aliases
+		generate_verbosity_aliases(this);
+		generate_enabled_aliases(this);
+
+		// Set verbosity, which also generates the logging aliases
+		if(verbosity !== null && verbosity !== undefined)
+			this.verbosity = verbosity;
+		else
+			generate_log_aliases(this);
+
+		// Initialise from settings
+		this.init();
+	}
+
+
 	/*
 	 * Attributes
 	 */
-	static get verbosity() {
-		// Note: This default value is only used until LibWrapperSettings.init
-		return CURRENT_VERBOSITY ?? VERBOSITY.WARNING;
+	// Note: Temporary overrides (see 'set_verbosity_overrides') take precedence over the verbosity set through code or settings
+	get verbosity() {
+		return this.override ?? this.own_verbosity ?? (this.inherit ? this.parent?.verbosity : null) ?? DEFAULT_VERBOSITY;
 	}
 
-	static set verbosity(in_value) {
-		// Convert to VERBOSITY type if it exists
-		const value = VERBOSITY.get(in_value, /*default=*/ parseInt(in_value));
+	set verbosity(in_value) {
+		// Setting 'null' or 'undefined' results in the parent (or default) verbosity value being used
+		if(in_value === null || in_value === undefined) {
+			this.own_verbosity = null;
+		}
+		else {
+			// Convert to VERBOSITY type if it exists
+			const value = VERBOSITY.get(in_value, /*default=*/ parseInt(in_value));
 
-		// Sanity check types
-		if(!VERBOSITY.has(value) && !Number.isInteger(value))
-			throw new ERRORS.internal(`Parameter 'value' must be a 'VERBOSITY' enum value or an integer, but got '${in_value}'.`);
+			// Sanity check types
+			if(!VERBOSITY.has(value) && !Number.isInteger(value))
+				throw new ERRORS.internal(`Parameter 'value' must be a 'VERBOSITY' enum value or an integer, but got '${in_value}'.`);
 
-		// Store verbosity
-		CURRENT_VERBOSITY = value;
+			// Store verbosity
+			this.own_verbosity = value;
+		}
 
 		// We generate the logging methods statically any time the verbosity changes in order to:
 		// 1. Log with the highest performance possible (no need to dynamically check verbosity)
 		// 2. Not affect the log file/line from the caller that is shown in the JS console
-		generate_log_aliases();
+		this.refresh();
 	}
 
-	static get verbosity_value() {
+	get verbosity_value() {
 		return verbosity_to_value(this.verbosity);
 	}
 
-	static get verbosities() {
+	get verbosities() {
 		return VERBOSITY;
 	}
 
+	/*
+	 * In structured mode, every logging call creates a 'LogRecord' that captures the call stack, allowing sinks to know which
+	 * package made the call through 'record.package'. The package is only resolved if a sink accesses it.
+	 *
+	 * Note: In structured mode, messages are never passed directly to the console functions, so the browser console will no
+	 * longer show the caller's file/line for them.
+	 */
+	get structured() {
+		return this.own_structured ?? this.parent?.structured ?? false;
+	}
+
+	set structured(value) {
+		this.own_structured = (value === null || value === undefined) ? null : !!value;
+		this.refresh();
+	}
+
+	/*
+	 * When styled, console prefixes use '%c' CSS styles with a color per verbosity, and the logger's 'color' for its title.
+	 * Styles are only used in browsers, Node.js falls back to plain text prefixes.
+	 */
+	get styled() {
+		return this.own_styled ?? this.parent?.styled ?? false;
+	}
+
+	set styled(value) {
+		this.own_styled = (value === null || value === undefined) ? null : !!value;
+		this.refresh();
+	}
+
+	// All sinks this logger writes to, including the ones inherited from its parents
+	get sinks() {
+		const parent_sinks = (this.propagate && this.parent) ? this.parent.sinks : [];
+		return [...this.own_sinks, ...parent_sinks.filter((x) => !this.own_sinks.includes(x))];
+	}
+
+	get prefix() {
+		return verbosity_to_log_prefix(VERBOSITY.ALWAYS, this.title);
+	}
+
 
 	/*
 	 * Utility Methods
 	 */
-	static init(force=false) {
-		// We do nothing if the verbosity is already set, unless forced
-		if(!force && CURRENT_VERBOSITY !== undefined && CURRENT_VERBOSITY !== null)
+	init(force=false) {
+		// We do nothing if there is no setting, or the verbosity is already set, unless forced
+		if(!this.setting)
+			return;
+
+		if(!force && this.own_verbosity !== null)
 			return;
 
 		// Grab verbosity from settings
-		const value = game_settings_get(PACKAGE_ID, 'log-verbosity', /*always_fallback=*/ true, /*return_null=*/ true);
+		const [namespace, key] = this.setting;
+		const value = game_settings_get(namespace, key, /*always_fallback=*/ true, /*return_null=*/ true);
 
 		// We do nothing if the setting is null/undefined
 		if(value === undefined || value === null)
@@ -213,15 +561,298 @@ export class Log {
 			this.verbosity = value;
 		}
 		catch(e) {
-			console.error(`${PACKAGE_TITLE}: Unable to set logging verbosity.\n`, e);
+			console.error(`${this.title}: Unable to set logging verbosity.\n`, e);
+		}
+	}
+
+	// Iterates over this logger and all its descendants
+	*walk() {
+		yield this;
+
+		for(const child of this.children.values())
+			yield* child.walk();
+	}
+
+	// Regenerates the logging aliases of this logger and its children.
+	// Must be called manually if a sink's 'verbosity' is modified after it has been added.
+	refresh() {
+		generate_log_aliases(this);
+
+		for(const child of this.children.values())
+			child.refresh();
+	}
+
+	/*
+	 * Sinks
+	 */
+	add_sink(sink, refresh=true) {
+		if(!(sink instanceof LogSink))
+			throw new ERRORS.internal(`Parameter 'sink' must be a LogSink, got '${sink}'.`);
+
+		if(!this.own_sinks.includes(sink))
+			this.own_sinks.push(sink);
+
+		if(refresh)
+			this.refresh();
+
+		return sink;
+	}
+
+	remove_sink(sink) {
+		const idx = this.own_sinks.indexOf(sink);
+		if(idx < 0)
+			return false;
+
+		this.own_sinks.splice(idx, 1);
+		this.refresh();
+		return true;
+	}
+
+	/*
+	 * Starts keeping the most recent records logged through this logger (and its children) in a ring buffer, accessible
+	 * through 'history'. By default only records enabled by the logger's verbosity are kept, but a lower 'verbosity' can be
+	 * used to also keep messages that are not shown in the console.
+	 *
+	 * Note: While the history is enabled, messages are no longer passed directly to the console functions, so the browser
+	 * console will no longer show the caller's file/line for them.
+	 */
+	enable_history({capacity=500, verbosity=null}={}) {
+		if(this.history)
+			this.remove_sink(this.history);
+
+		this.history = new RingBufferSink({name: 'history', capacity, verbosity});
+		return this.add_sink(this.history);
+	}
+
+	disable_history() {
+		if(!this.history)
+			return;
+
+		this.remove_sink(this.history);
+		this.history = null;
+	}
+
+	// Returns the sinks that accept messages with the given verbosity
+	sinks_for(verbosity) {
+		const value = verbosity_to_value(verbosity);
+		const logger_value = this.verbosity_value;
+
+		return this.sinks.filter((sink) => {
+			const sink_value = (sink.verbosity === null || sink.verbosity === undefined) ? logger_value : verbosity_to_value(sink.verbosity);
+			return value >= sink_value;
+		});
+	}
+
+	// Whether messages with the given verbosity reach the console. Used by the 'has_*' aliases and 'stack'.
+	// Note: Other sinks (e.g. 'history') might accept more verbosities, which is what 'fn' and the '$' aliases check.
+	enabled(verbosity=null) {
+		return this.sinks_for(verbosity).some((sink) => sink instanceof ConsoleSink);
+	}
+
+	/*
+	 * Returns a child logger with its own name, prefix and verbosity. Calling this again with the same name returns the same logger.
+	 * 'name' can be a string or a PackageInfo. See the constructor for the supported options.
+	 *
+	 * Usage Example:
+	 *   const MyLog = Log.child(new PackageInfo('my-module'));
+	 *   MyLog.debug$?.("Some message");
+	 */
+	child(name, options={}) {
+		const key = (typeof name === 'string') ? name : name?.id;
+
+		let child = this.children.get(key);
+		if(!child) {
+			child = new Logger(name, {...options, parent: this});
+			this.children.set(child.name, child);
+		}
+
+		return child;
+	}
+
+
+	/*
+	 * Rate limiting
+	 * See 'attach_rate_limiters' for the per-message variants, e.g. 'Log.warn.once(key, ...)'.
+	 */
+
+	/*
+	 * Returns an object with the same logging aliases as this logger, but which only logs one of every 'n' messages for each verbosity.
+	 * Calling this again with the same arguments returns the same object. Use different keys for unrelated messages.
+	 *
+	 * Usage Example:
+	 *   Log.every(100, 'render').warn$?.("Something is wrong while rendering");
+	 */
+	every(n, key='every') {
+		return this.rate_limited('every', n, key);
+	}
+
+	/*
+	 * Returns an object with the same logging aliases as this logger, but which logs at most one message every 'ms' milliseconds for each verbosity.
+	 * Calling this again with the same arguments returns the same object. Use different keys for unrelated messages.
+	 *
+	 * Usage Example:
+	 *   Log.throttle(1000, 'render').warn$?.("Something is wrong while rendering");
+	 */
+	throttle(ms, key='throttle') {
+		return this.rate_limited('throttle', ms, key);
+	}
+
+	rate_limited(limiter, limit, key) {
+		const id = `${limiter}(${limit}):${key}`;
+
+		let view = this.rate_limited_views.get(id);
+		if(!view) {
+			view = rate_limited_view(this, limiter, limit, key);
+			this.rate_limited_views.set(id, view);
+		}
+
+		return view;
+	}
+
+	// Logs a summary for every key that has suppressed messages which were not yet reported
+	flush_suppressed() {
+		for(const state of this.rate_limits.values()) {
+			const fn = this.fn(state.verbosity);
+			if(fn)
+				log_suppressed(fn, state);
+		}
+	}
+
+	// Forgets the rate limiting state of the given key, or of every key if none is given
+	reset_rate_limits(key=undefined) {
+		if(key === undefined) {
+			this.rate_limits.clear();
+			return;
+		}
+
+		for(const [id, state] of this.rate_limits) {
+			if(state.key === key)
+				this.rate_limits.delete(id);
+		}
+	}
+
+
+	/*
+	 * Groups
+	 */
+
+	/*
+	 * Opens a console group, or returns 'null' if the given verbosity is not enabled. Messages logged while the group is open are
+	 * indented in the browser console. Sinks other than the console receive the label as a normal message.
+	 *
+	 * If 'fn' is provided, it is called inside the group and its result returned, with the group closed afterwards (once settled,
+	 * if it returns a promise). 'fn' is still called if the verbosity is disabled.
+	 * Otherwise, returns a function that closes the group. Closing a group also closes any groups nested inside it that are still open.
+	 *
+	 * Usage Examples:
+	 *   Log.group(Log.DEBUG, "Wrappers", () => { for(const w of wrappers) Log.debug$?.(w.name); });
+	 *
+	 *   const end = Log.group(Log.WARNING, "Conflicts");
+	 *   ...
+	 *   end?.();
+	 */
+	group(verbosity, label, fn=undefined, collapsed=false) {
+		const sinks = this.sinks_for(verbosity);
+		if(!sinks.length)
+			return fn ? fn() : null;
+
+		const end = open_log_group(this, verbosity, label, sinks, collapsed);
+		if(!fn)
+			return end;
+
+		let result;
+		try {
+			result = fn();
+		}
+		catch(e) {
+			end();
+			throw e;
+		}
+
+		if(typeof result?.then === 'function')
+			return result.finally(end);
+
+		end();
+		return result;
+	}
+
+	// Same as 'group', but the group starts collapsed. Named after the equivalent console method.
+	groupCollapsed(verbosity, label, fn=undefined) {
+		return this.group(verbosity, label, fn, /*collapsed=*/ true);
+	}
+
+
+	/*
+	 * Timing
+	 */
+
+	/*
+	 * Starts a timing span, or returns 'null' if the given verbosity is not enabled. You should use the optional chaining operator '?.'
+	 * when ending the span, so that no timing code runs in production. Spans started inside 'time' (or 'Span.run') are nested inside
+	 * that span, and 'span.span(name)' creates a nested span explicitly.
+	 *
+	 * When ended, the span logs its duration at the given verbosity and adds it to the statistics (see 'span_statistics').
+	 *
+	 * Usage Example:
+	 *   const span = Log.span('render');
+	 *   ...
+	 *   const child = span?.span('layout');
+	 *   ...
+	 *   child?.end();
+	 *   span?.end();
+	 */
+	span(name, verbosity=VERBOSITY.DEBUG) {
+		const log = this.fn(verbosity);
+		if(!log)
+			return null;
+
+		return new Span(name, {log: log, stats: this.span_stats, prefix: `${this.name}:`});
+	}
+
+	/*
+	 * Calls 'fn' inside a timing span (see 'span'), returning its result. If 'fn' returns a promise, the span ends once it settles.
+	 * If the given verbosity is not enabled, 'fn' is called directly.
+	 *
+	 * Usage Example:
+	 *   const html = Log.time(() => render(), 'render');
+	 */
+	time(fn, name=fn.name || 'anonymous', verbosity=VERBOSITY.DEBUG) {
+		const span = this.span(name, verbosity);
+		if(!span)
+			return fn();
+
+		let result;
+		try {
+			result = span.run(fn);
+		}
+		catch(e) {
+			span.end();
+			throw e;
 		}
+
+		if(typeof result?.then === 'function')
+			return result.finally(() => span.end());
+
+		span.end();
+		return result;
+	}
+
+	// Returns the aggregated statistics of the spans of this logger, sorted by total time spent
+	span_statistics() {
+		return [...this.span_stats.values()].sort((a, b) => b.total - a.total);
 	}
 
-	static enabled(verbosity=null) {
-		const desired_value = verbosity_to_value(verbosity);
-		const current_value = this.verbosity_value;
+	// Logs the aggregated statistics of the spans of this logger
+	dump_span_statistics(verbosity=VERBOSITY.ALWAYS) {
+		const stats = this.span_statistics();
+		const text = stats.length ? stats.map((x) => `\n  ${x}`).join('') : ' No spans recorded.';
+
+		this.fn(verbosity, VERBOSITY.INFO)?.(`Span statistics:${text}`);
+		return stats;
+	}
 
-		return (desired_value >= current_value);
+	reset_span_statistics() {
+		this.span_stats.clear();
 	}
 
 
@@ -229,10 +860,13 @@ export class Log {
 	 * Logging
 	 */
 
-	/* Returns a function to log at a given verbosity, or 'null' if the given verbosity is not enabled.
+	/* Returns a function to log at a given verbosity, or 'null' if the given verbosity is not enabled (i.e. no sinks accept it).
 	 * You should use the optional chaining operator '?.' when calling the result.
 	 * Can specify a different verbosity to use when calculating the underlying logging function, as well as a custom prefix
 	 *
+	 * If the console is the only sink accepting the message, the console function is returned directly so that the browser
+	 * shows the caller's file/line. Otherwise, the returned function creates a 'LogRecord' and writes it to every accepting sink.
+	 *
 	 * Usage Examples:
 	 *
 	 * - 'DEBUG' message:
@@ -241,30 +875,286 @@ export class Log {
 	 * - 'ALWAYS' message using the underlying logging function for 'INFO' messages:
 	 *   Log.fn(Log.ALWAYS, Log.INFO)?.("Another message");
 	 */
-	static fn(verbosity, fn_verbosity=verbosity) {
-		if(!this.enabled(verbosity))
+	fn(verbosity, fn_verbosity=verbosity) {
+		const sinks = this.sinks_for(verbosity);
+		if(!sinks.length)
 			return null;
 
-		const [obj, nm] = verbosity_to_log_function(fn_verbosity);
-		const prefix = verbosity_to_log_prefix(verbosity);
-		return obj[nm].bind(obj, prefix);
+		const console_fn = verbosity_to_log_function(fn_verbosity);
+		const prefix = verbosity_to_log_prefix(verbosity, this.title);
+		const console_prefix = verbosity_to_console_prefix(verbosity, this);
+
+		// Fast path
+		const structured = this.structured;
+		if(!structured && sinks.length === 1 && sinks[0] instanceof ConsoleSink)
+			return sinks[0].bind(console_fn, console_prefix);
+
+		// Fan out to all sinks
+		return (...args) => {
+			const record = new LogRecord(this, VERBOSITY.get(verbosity, verbosity), prefix, console_fn, args, structured, console_prefix);
+
+			for(const sink of sinks)
+				sink.write(record);
+		};
 	}
 
 	/*
 	 * Dynamic logging function. Verbosity check happens at call-time.
 	 */
-	static log(verbosity, ...args) {
+	log(verbosity, ...args) {
 		return this.fn(verbosity)?.(...args);
 	}
 }
 
-// Generate static aliases
-generate_verbosity_aliases();
-generate_enabled_aliases();
-generate_log_aliases();
 
-// Initialise
-Log.init(/*force=*/ true);
+//*********************
+// Root logger
+export const Log = new Logger(PACKAGE_TITLE, {setting: [PACKAGE_ID, 'log-verbosity'], sinks: [CONSOLE_SINK]});
+
+
+//*********************
+// Verbosity overrides
+// Temporary verbosities that take precedence over the settings, used to help debugging without modifying the saved settings
+
+/*
+ * Parses a verbosity override string, i.e. a comma-separated list of '<logger name>:<verbosity>' entries, returning a Map.
+ * Entries without a logger name apply to the root logger.
+ *
+ * Usage Example:
+ *   parse_verbosity_overrides('debug,my-module:trace')
+ */
+export const parse_verbosity_overrides = function(spec) {
+	const overrides = new Map();
+
+	for(const entry of String(spec ?? '').split(',')) {
+		if(!entry.trim())
+			continue;
+
+		// Logger names might contain ':' themselves, so split at the last one
+		const idx = entry.lastIndexOf(':');
+		const name = (idx < 0) ? ROOT_OVERRIDE_KEY : entry.slice(0, idx).trim();
+		const verbosity = verbosity_from_string(entry.slice(idx + 1));
+
+		overrides.set(name, verbosity);
+	}
+
+	return overrides;
+}
+
+const apply_verbosity_overrides = function() {
+	for(const logger of Log.walk()) {
+		const key = (logger === Log) ? ROOT_OVERRIDE_KEY : logger.name;
+		logger.override = VERBOSITY_OVERRIDES.get(key) ?? ((logger === Log) ? VERBOSITY_OVERRIDES.get(Log.name) : null) ?? null;
+	}
+
+	Log.refresh();
+}
+
+/*
+ * Temporarily overrides logger verbosities, e.g. 'debug,my-module:trace'. See 'parse_verbosity_overrides' for the format.
+ *
+ * By default the overrides only last until the page is reloaded. If 'session' is true, they are also stored in sessionStorage
+ * and last until the browser tab is closed.
+ */
+export const set_verbosity_overrides = function(spec, {session=false}={}) {
+	const overrides = (spec instanceof Map) ? spec : parse_verbosity_overrides(spec);
+
+	VERBOSITY_OVERRIDES.clear();
+	for(const [name, verbosity] of overrides)
+		VERBOSITY_OVERRIDES.set(name, verbosity);
+
+	if(session) {
+		try {
+			globalThis.sessionStorage?.setItem(OVERRIDE_STORAGE_KEY, verbosity_overrides_to_string());
+		}
+		catch(e) {
+			console.error(`${PACKAGE_TITLE}: Unable to store the verbosity overrides in sessionStorage.\n`, e);
+		}
+	}
+
+	apply_verbosity_overrides();
+}
+
+// Removes all verbosity overrides, including the ones stored in sessionStorage
+export const clear_verbosity_overrides = function() {
+	try {
+		globalThis.sessionStorage?.removeItem(OVERRIDE_STORAGE_KEY);
+	}
+	catch(e) {
+		// Ignore, sessionStorage might not be accessible
+	}
+
+	set_verbosity_overrides(new Map());
+}
+
+export const verbosity_overrides_to_string = function() {
+	return [...VERBOSITY_OVERRIDES].map(([name, verbosity]) => {
+		const level = verbosity?.name?.toLowerCase() ?? verbosity;
+		return (name === ROOT_OVERRIDE_KEY) ? level : `${name}:${level}`;
+	}).join(',');
+}
+
+// Reads the overrides from the URL query parameter, or sessionStorage if the former is not present
+const load_verbosity_overrides = function() {
+	let spec = null;
+
+	try {
+		spec = new URLSearchParams(globalThis.location?.search ?? '').get(OVERRIDE_QUERY_PARAM);
+		spec ??= globalThis.sessionStorage?.getItem(OVERRIDE_STORAGE_KEY) ?? null;
+	}
+	catch(e) {
+		// Ignore, sessionStorage might not be accessible
+	}
+
+	if(!spec)
+		return;
+
+	try {
+		set_verbosity_overrides(spec);
+	}
+	catch(e) {
+		console.error(`${PACKAGE_TITLE}: Unable to apply the verbosity overrides '${spec}'.\n`, e);
+	}
+}
+
+
+//*********************
+// Setting changes
+// Re-initialises the verbosity of every logger configured by the setting that changed. 'key' is in the '<namespace>.<key>' format.
+const on_setting_changed = function(key) {
+	if(typeof key !== 'string')
+		return;
+
+	for(const logger of Log.walk()) {
+		if(logger.setting && `${logger.setting[0]}.${logger.setting[1]}` === key)
+			logger.init(/*force=*/ true);
+	}
+}
+
+if(!IS_UNITTEST) {
+	Hooks.on('clientSettingChanged', (key) => on_setting_changed(key));
+	Hooks.on('updateSetting', (setting) => on_setting_changed(setting?.key));
+	Hooks.on('createSetting', (setting) => on_setting_changed(setting?.key));
+}
+
+
+//*********************
+// Initialisation
+load_verbosity_overrides();
+
+/*
+ * Console helper, allowing verbosities to be changed at runtime without modifying the saved settings.
+ * It is published as a global named after the package ID, e.g. 'lib_wrapper_log'. If another copy of this library already uses
+ * that name, a numeric suffix is added (e.g. 'lib_wrapper_log_2'), and the name used is logged.
+ *
+ * Usage Examples:
+ *   lib_wrapper_log.set('debug,my-module:trace');       // Reverts on reload
+ *   lib_wrapper_log.set('trace', {session: true});      // Reverts when the browser tab is closed
+ *   lib_wrapper_log.clear();
+ */
+const CONSOLE_HELPER = Object.freeze({
+	Log  : Log,
+	set  : set_verbosity_overrides,
+	clear: clear_verbosity_overrides,
+	get  : verbosity_overrides_to_string
+});
+
+const publish_console_helper = function() {
+	// Package IDs can contain characters that are not valid in identifiers, e.g. 'lib-wrapper' => 'lib_wrapper_log'
+	let base = `${PACKAGE_ID}_log`.replace(/[^A-Za-z0-9_$]/g, '_');
+	if(/^[0-9]/.test(base))
+		base = `_${base}`;
+
+	let name = base;
+	for(let i = 2; name in globalThis; i++)
+		name = `${base}_${i}`;
+
+	globalThis[name] = CONSOLE_HELPER;
+
+	if(name !== base)
+		Log.info$?.(`The console helper '${base}' is used by another copy of ${PACKAGE_TITLE}, so this copy's is available as '${name}'.`);
+
+	return name;
+}
+
+publish_console_helper();
+
+
+//*********************
+// Custom verbosities
+
+/*
+ * Registers a new verbosity, e.g. NOTICE or AUDIT, and regenerates the aliases of every logger in the 'Log' hierarchy.
+ *
+ * Parameters:
+ * - name      : Verbosity name, all uppercase. Also used (in lowercase) as the logging alias, e.g. 'Log.notice$?.(...)'.
+ * - value     : Unique integer value, used to order it relative to the other verbosities.
+ * - prefix    : Tag prepended to the logger title. Defaults to the first letter of the name, e.g. '[N] '.
+ * - console_fn: Name of the console method used to log it (e.g. 'info'), or an [object, method name] tuple.
+ *               Defaults to the console method of the nearest verbosity.
+ * - aliases   : Additional names for this verbosity, e.g. ['note'], which also get their own logging aliases.
+ * - style     : CSS style for the prefix tag when styled output is enabled. Defaults to the style of the nearest verbosity.
+ *
+ * Usage Example:
+ *   register_verbosity('NOTICE', {value: 350, prefix: '[N] ', console_fn: 'info', aliases: ['note']});
+ *   Log.notice$?.("Some message");
+ */
+export const register_verbosity = function(name, {value, prefix=undefined, console_fn=undefined, aliases=[], style=undefined}={}) {
+	// Validate parameters
+	if(typeof name !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(name))
+		throw new ERRORS.internal(`Verbosity names must be uppercase identifiers, got '${name}'.`);
+
+	if(!Number.isInteger(value))
+		throw new ERRORS.internal(`Verbosity '${name}' must have an integer value, got '${value}'.`);
+
+	if(VERBOSITY.reverse.has(value))
+		throw new ERRORS.internal(`Verbosity value '${value}' is already in use by '${VERBOSITY.reverse.get(value).name}'.`);
+
+	if(typeof console_fn === 'string')
+		console_fn = [console, console_fn];
+
+	if(console_fn !== undefined && typeof console_fn?.[0]?.[console_fn?.[1]] !== 'function')
+		throw new ERRORS.internal(`Parameter 'console_fn' must be a console method name or an [object, method name] tuple.`);
+
+	const lower_aliases = [name, ...aliases].map((x) => String(x).toLowerCase());
+	for(const alias of lower_aliases) {
+		if(!/^[a-z][a-z0-9_]*$/.test(alias))
+			throw new ERRORS.internal(`Verbosity alias '${alias}' is not a valid identifier.`);
+
+		if(alias in LOG_ALIASES_VERBOSITY_MAP || VERBOSITY.has(alias, /*keys=*/ true))
+			throw new ERRORS.internal(`Verbosity alias '${alias}' is already in use.`);
+
+		// The generated aliases must not replace any existing logger members, including per-instance fields such as 'name'
+		for(const member of [alias, `${alias}$`, `has_${alias}`]) {
+			for(const logger of Log.walk()) {
+				if(member in logger)
+					throw new ERRORS.internal(`Verbosity alias '${alias}' conflicts with the logger member '${member}'.`);
+			}
+		}
+	}
+
+	// Resolve defaults from the nearest existing verbosity before registering the new one
+	console_fn ??= verbosity_to_log_function(value);
+	prefix     ??= `[${name[0]}] `;
+	style      ??= verbosity_to_mapped_value(value, LOG_STYLE_VERBOSITY_MAP, '');
+
+	// Register
+	const enum_aliases = lower_aliases.filter((x) => x !== name.toLowerCase()).map((x) => x.toUpperCase());
+	const verbosity = EnumValue(VERBOSITY, name, value, /*sort=*/ true, {aliases: enum_aliases});
+
+	VERBOSITY_CONSOLEFN_MAP[value] = console_fn;
+	LOG_TAG_VERBOSITY_MAP  [value] = prefix;
+	LOG_STYLE_VERBOSITY_MAP[value] = style;
+
+	for(const alias of lower_aliases)
+		LOG_ALIASES_VERBOSITY_MAP[alias] = verbosity;
+
+	// Regenerate aliases
+	for(const logger of Log.walk()) {
+		generate_verbosity_aliases(logger);
+		generate_enabled_aliases(logger);
+	}
+	Log.refresh();
 
-// Seal Log class
-Object.seal(Log);
\ No newline at end of file
+	return verbosity;
+}
\ No newline at end of file
@@ -0,0 +1,251 @@
+// SPDX-License-Identifier: LGPL-3.0-or-later
+// Copyright © 2021 fvtt-shared-library Rui Pinheiro
+
+'use strict';
+
+import { PACKAGE_TITLE } from '../consts.js';
+import { ERRORS } from '../errors/errors.js';
+import { Log, VERBOSITY, verbosity_to_value } from './log.js';
+import { MemorySink, ConsoleSink, filter_records } from './log_sinks.js';
+
+
+//*********************
+// Utility functions
+
+// Tests a record message against a RegExp, a substring or a predicate
+const message_matches = function(record, message) {
+	if(message === undefined)
+		return true;
+
+	const text = record.message;
+
+	if(message instanceof RegExp)
+		return message.test(text);
+
+	if(typeof message === 'function')
+		return !!message(text, record);
+
+	return text.includes(String(message));
+}
+
+const describe_criteria = function({message, ...criteria}) {
+	const parts = Object.entries(criteria).filter(([, v]) => v !== undefined).map(([k, v]) => `${k}=${v?.key ?? v?.name ?? v}`);
+
+	if(message !== undefined)
+		parts.push(`message=${message}`);
+
+	return parts.length ? parts.join(', ') : 'any';
+}
+
+const describe_records = function(records) {
+	if(!records.length)
+		return '  (none)';
+
+	return records.map((x) => `  ${x.prefix} ${x.message}`).join('\n');
+}
+
+
+//*********************
+// Log capture class
+/*
+ * Temporarily captures everything logged through a logger (and its children) into memory, so tests can assert on it.
+ * While capturing, the logger's verbosity is set to the capture verbosity, and the console is silenced (for its children too) unless 'silent' is false.
+ * Structured logging is enabled so that records can be matched by package.
+ *
+ * 'stop()' restores the logger's previous verbosity, sinks and options. This works in plain Node.js.
+ *
+ * Usage Example:
+ *   const capture = new LogCapture().start();
+ *   try {
+ *     do_something();
+ *     capture.expect_warning(/deprecated/, 'my-module');
+ *     capture.expect_no_errors();
+ *   }
+ *   finally {
+ *     capture.stop();
+ *   }
+ */
+export class LogCapture {
+	constructor(logger=Log, {verbosity=VERBOSITY.ZERO, silent=true, limit=null}={}) {
+		this.logger    = logger;
+		this.verbosity = verbosity;
+		this.silent    = silent;
+		this.sink      = new MemorySink({name: 'capture', verbosity: verbosity, limit: limit});
+		this.saved     = null;
+	}
+
+
+	/*
+	 * Lifecycle
+	 */
+	get capturing() {
+		return this.saved !== null;
+	}
+
+	start() {
+		if(this.capturing)
+			throw new ERRORS.internal(`Log capture for '${this.logger.name}' is already running.`);
+
+		const logger = this.logger;
+
+		this.saved = {
+			own_verbosity : logger.own_verbosity,
+			override      : logger.override,
+			own_sinks     : [...logger.own_sinks],
+			propagate     : logger.propagate,
+			own_structured: logger.own_structured,
+			child_sinks   : new Map()
+		};
+
+		// Silence the console by removing it from this logger and its children, and not writing to the parent's sinks (which might include it)
+		if(this.silent) {
+			for(const child of logger.walk()) {
+				if(child !== logger && child.own_sinks.some((x) => x instanceof ConsoleSink)) {
+					this.saved.child_sinks.set(child, child.own_sinks);
+					child.own_sinks = child.own_sinks.filter((x) => !(x instanceof ConsoleSink));
+				}
+			}
+
+			logger.own_sinks = logger.own_sinks.filter((x) => !(x instanceof ConsoleSink));
+			logger.propagate = false;
+		}
+
+		logger.own_sinks.push(this.sink);
+		logger.own_structured = true;
+		logger.override       = null;
+		logger.verbosity      = this.verbosity; // Also refreshes the logging aliases
+
+		// Make sure nothing can reach the console. 'stack' and the 'has_*' aliases also depend on the console sinks.
+		if(this.silent) {
+			for(const child of logger.walk()) {
+				if(child.sinks.some((x) => x instanceof ConsoleSink)) {
+					this.stop();
+					throw new ERRORS.internal(`Log capture for '${this.logger.name}' is silent, but logger '${child.name}' still writes to the console.`);
+				}
+			}
+		}
+
+		return this;
+	}
+
+	stop() {
+		if(!this.capturing)
+			return this;
+
+		const logger = this.logger;
+		const {child_sinks, ...saved} = this.saved;
+
+		for(const [child, own_sinks] of child_sinks)
+			child.own_sinks = own_sinks;
+
+		Object.assign(logger, saved);
+		this.saved = null;
+
+		logger.refresh();
+		return this;
+	}
+
+	clear() {
+		this.sink.clear();
+	}
+
+
+	/*
+	 * Queries
+	 */
+	get records() {
+		return this.sink.records;
+	}
+
+	get messages() {
+		return this.records.map((x) => x.message);
+	}
+
+	/*
+	 * Returns the captured records matching all the given criteria. See 'filter_records' for the supported criteria, plus:
+	 * - message: RegExp, substring or predicate the message must match
+	 */
+	find({message, ...criteria}={}) {
+		return filter_records(this.records, criteria).filter((x) => message_matches(x, message));
+	}
+
+	count(criteria={}) {
+		return this.find(criteria).length;
+	}
+
+
+	/*
+	 * Assertions
+	 * These throw an Error describing the captured records if they fail, and otherwise return the matching records.
+	 */
+	expect(criteria={}, {min=1, max=Infinity}={}) {
+		const found = this.find(criteria);
+
+		if(found.length < min || found.length > max) {
+			const expected = (max === Infinity) ? `at least ${min}` : (min === max) ? `exactly ${min}` : `between ${min} and ${max}`;
+			throw new Error(`${PACKAGE_TITLE}: Expected ${expected} log message(s) matching [${describe_criteria(criteria)}], found ${found.length}. Captured messages:\n${describe_records(this.records)}`);
+		}
+
+		return found;
+	}
+
+	expect_none(criteria={}) {
+		return this.expect(criteria, {min: 0, max: 0});
+	}
+
+	expect_verbosity(verbosity, message=undefined, pkg=undefined) {
+		return this.expect({verbosity: verbosity, message: message, package: pkg});
+	}
+
+	expect_debug  (message=undefined, pkg=undefined) { return this.expect_verbosity(VERBOSITY.DEBUG  , message, pkg); }
+	expect_info   (message=undefined, pkg=undefined) { return this.expect_verbosity(VERBOSITY.INFO   , message, pkg); }
+	expect_warning(message=undefined, pkg=undefined) { return this.expect_verbosity(VERBOSITY.WARNING, message, pkg); }
+	expect_error  (message=undefined, pkg=undefined) { return this.expect_verbosity(VERBOSITY.ERROR  , message, pkg); }
+
+	// Fails if anything at or above ERROR verbosity was logged
+	expect_no_errors() {
+		return this.expect_none({min_verbosity: VERBOSITY.ERROR});
+	}
+
+	// Fails if anything at or above WARNING verbosity was logged
+	expect_no_warnings() {
+		return this.expect_none({min_verbosity: VERBOSITY.WARNING});
+	}
+
+	// Fails if anything at or above the given verbosity was logged
+	expect_silent(verbosity=this.verbosity) {
+		return this.expect_none({min_verbosity: verbosity_to_value(verbosity)});
+	}
+}
+Object.freeze(LogCapture);
+
+
+//*********************
+// Helpers
+
+/*
+ * Calls 'fn' while capturing the log output, and returns the capture once done (or a promise if 'fn' returns a promise).
+ * The capture is always stopped, even if 'fn' throws. 'fn' receives the capture as its argument.
+ *
+ * Usage Example:
+ *   const capture = with_log_capture(() => do_something());
+ *   capture.expect_no_errors();
+ */
+export const with_log_capture = function(fn, {logger=Log, ...options}={}) {
+	const capture = new LogCapture(logger, options).start();
+
+	let result;
+	try {
+		result = fn(capture);
+	}
+	catch(e) {
+		capture.stop();
+		throw e;
+	}
+
+	if(typeof result?.then === 'function')
+		return result.finally(() => capture.stop()).then(() => capture);
+
+	capture.stop();
+	return capture;
+}
\ No newline at end of file
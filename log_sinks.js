@@ -0,0 +1,339 @@
+// SPDX-License-Identifier: LGPL-3.0-or-later
+// Copyright © 2021 fvtt-shared-library Rui Pinheiro
+
+'use strict';
+
+import { ERRORS } from '../errors/errors.js';
+
+
+//*********************
+// Package attribution
+
+/*
+ * Function used to resolve the calling package from a stack trace string, returning a PackageInfo or 'null'.
+ * It is called as 'resolver(stack, context)', where 'context' is the value returned by 'capture' when the record was created
+ * (e.g. the detection policy in effect at the time of the logging call), since records are resolved lazily.
+ * Set by 'package_info.js', as importing it here would create a circular dependency.
+ */
+let PACKAGE_RESOLVER = null;
+let PACKAGE_CONTEXT_CAPTURE = null;
+
+export const set_package_resolver = function(resolver, capture=null) {
+	if(resolver !== null && typeof resolver !== 'function')
+		throw new ERRORS.internal(`Log package resolver must be a function or 'null', got ${typeof resolver}.`);
+
+	if(capture !== null && typeof capture !== 'function')
+		throw new ERRORS.internal(`Log package context capture must be a function or 'null', got ${typeof capture}.`);
+
+	PACKAGE_RESOLVER = resolver;
+	PACKAGE_CONTEXT_CAPTURE = capture;
+}
+
+
+//*********************
+// Log record class
+// A single logging call, as passed to the sinks
+export class LogRecord {
+	/*
+	 * If 'capture_stack' is true (i.e. the logger is in structured mode), the stack is captured when the record is created,
+	 * so that the calling package can be resolved later through 'package'.
+	 *
+	 * 'console_prefix' is the list of arguments used instead of 'prefix' when writing to the console, e.g. including '%c' styles.
+	 */
+	constructor(logger, verbosity, prefix, console_fn, args, capture_stack=false, console_prefix=[prefix]) {
+		this.timestamp  = Date.now();
+		this.logger     = logger;
+		this.verbosity  = verbosity;
+		this.prefix     = prefix;
+		this.console_fn = console_fn; // [object, method name] tuple used when writing this record to the console
+		this.args       = args;
+		this.console_prefix = console_prefix;
+
+		// Note: Only capturing the stack is cheap, as browsers only build the stack string once it is accessed
+		this.stack_error     = capture_stack ? new Error() : null;
+		this.package_context = capture_stack ? PACKAGE_CONTEXT_CAPTURE?.() : undefined;
+		this.cached_package  = undefined;
+	}
+
+	// The package that made this logging call, resolved lazily from the captured stack. 'null' if unknown or not captured.
+	get package() {
+		if(this.cached_package === undefined) {
+			const stack = this.stack_error?.stack;
+			this.cached_package = (stack && PACKAGE_RESOLVER) ? PACKAGE_RESOLVER(stack, this.package_context) : null;
+		}
+
+		return this.cached_package;
+	}
+
+	// Message string, built from the arguments
+	get message() {
+		return this.args.map((x) => (typeof x === 'string') ? x : stringify_arg(x)).join(' ');
+	}
+
+	toJSON() {
+		return {
+			timestamp: new Date(this.timestamp).toISOString(),
+			logger   : this.logger?.name ?? null,
+			package  : this.package?.key ?? null,
+			verbosity: this.verbosity?.name ?? this.verbosity,
+			message  : this.message,
+			args     : this.args.map(serialize_arg)
+		};
+	}
+}
+
+
+//*********************
+// Utility functions
+
+// Convert an arbitrary logging argument into something that can be safely passed to JSON.stringify
+export const serialize_arg = function(arg, seen=new WeakSet()) {
+	if(arg === undefined)
+		return null;
+
+	if(arg === null || typeof arg === 'number' || typeof arg === 'boolean' || typeof arg === 'string')
+		return arg;
+
+	if(typeof arg === 'bigint' || typeof arg === 'symbol' || typeof arg === 'function')
+		return arg.toString();
+
+	if(arg instanceof Error)
+		return {name: arg.name, message: arg.message, stack: arg.stack};
+
+	// Avoid infinite recursion on circular structures. 'seen' only holds the ancestors of 'arg', so objects that are merely
+	// referenced more than once are still serialised every time.
+	if(seen.has(arg))
+		return '[Circular]';
+	seen.add(arg);
+
+	try {
+		return serialize_object(arg, seen);
+	}
+	finally {
+		seen.delete(arg);
+	}
+}
+
+const serialize_object = function(arg, seen) {
+	if(Array.isArray(arg))
+		return arg.map((x) => serialize_arg(x, seen));
+
+	// Objects with their own JSON representation
+	if(typeof arg.toJSON === 'function') {
+		try {
+			return serialize_arg(arg.toJSON(), seen);
+		}
+		catch(e) {
+			return String(arg);
+		}
+	}
+
+	const result = {};
+	for(const key of Object.keys(arg))
+		result[key] = serialize_arg(arg[key], seen);
+	return result;
+}
+
+/*
+ * Filters a list of records. All given criteria must match:
+ * - package  : PackageInfo, package ID or package key of the calling package (requires structured logging)
+ * - logger   : Logger, or logger name
+ * - verbosity: Exact verbosity
+ * - min_verbosity / max_verbosity: Verbosity bounds (inclusive)
+ * - since / until: Timestamp bounds in milliseconds (inclusive), e.g. 'Date.now() - 60000' for the last minute
+ * - filter   : Custom predicate receiving each record
+ */
+export const filter_records = function(records, {package: pkg, logger, verbosity, min_verbosity, max_verbosity, since, until, filter}={}) {
+	const value_of = (x) => x?.value ?? x;
+
+	return records.filter((record) => {
+		if(pkg !== undefined) {
+			const rec_pkg = record.package;
+			if(!rec_pkg || !(rec_pkg === pkg || rec_pkg.id === pkg || rec_pkg.key === pkg || rec_pkg.key === pkg?.key))
+				return false;
+		}
+
+		if(logger !== undefined && record.logger !== logger && record.logger?.name !== logger)
+			return false;
+
+		const value = value_of(record.verbosity);
+		if(verbosity     !== undefined && value !== value_of(verbosity))     return false;
+		if(min_verbosity !== undefined && value <   value_of(min_verbosity)) return false;
+		if(max_verbosity !== undefined && value >   value_of(max_verbosity)) return false;
+
+		if(since !== undefined && record.timestamp < since) return false;
+		if(until !== undefined && record.timestamp > until) return false;
+
+		if(filter && !filter(record))
+			return false;
+
+		return true;
+	});
+}
+
+const stringify_arg = function(arg) {
+	if(arg instanceof Error)
+		return arg.stack ?? String(arg);
+
+	try {
+		return JSON.stringify(serialize_arg(arg));
+	}
+	catch(e) {
+		return String(arg);
+	}
+}
+
+
+//*********************
+// Sink classes
+
+/*
+ * Base class for log sinks.
+ *
+ * Sinks receive a 'LogRecord' for every logging call they accept. By default, a sink accepts the same messages that are enabled
+ * by the logger's verbosity, but a sink can set its own minimum 'verbosity' to receive messages the logger would otherwise skip.
+ *
+ * Subclasses must implement 'write(record)'.
+ */
+export class LogSink {
+	constructor({name=undefined, verbosity=null}={}) {
+		this.name      = name ?? this.constructor.name;
+		this.verbosity = verbosity;
+	}
+
+	write(record) {
+		throw new ERRORS.internal(`Log sink '${this.name}' must implement 'write'.`);
+	}
+
+	toString() {
+		return this.name;
+	}
+}
+
+
+/*
+ * Writes records to the browser console.
+ *
+ * When this is the only sink receiving a message, loggers bind the console function directly (see 'bind'), so the
+ * browser shows the caller's file/line in the console. Otherwise, records are written through 'write'.
+ */
+export class ConsoleSink extends LogSink {
+	// 'prefix' can be a list of arguments, e.g. a '%c' format string followed by its styles
+	bind(console_fn, prefix) {
+		const [obj, nm] = console_fn;
+		return Array.isArray(prefix) ? obj[nm].bind(obj, ...prefix) : obj[nm].bind(obj, prefix);
+	}
+
+	write(record) {
+		const [obj, nm] = record.console_fn;
+		obj[nm](...record.console_prefix, ...record.args);
+	}
+}
+
+
+// Keeps the most recent records in memory. 'limit' is the maximum number of records kept, or 'null' for no limit.
+export class MemorySink extends LogSink {
+	constructor({limit=1000, ...options}={}) {
+		super(options);
+		this.limit   = limit;
+		this.records = [];
+	}
+
+	write(record) {
+		this.records.push(record);
+
+		if(this.limit !== null && this.records.length > this.limit)
+			this.records.splice(0, this.records.length - this.limit);
+	}
+
+	// See 'filter_records'
+	query(criteria) {
+		return filter_records(this.records, criteria);
+	}
+
+	clear() {
+		this.records.length = 0;
+	}
+}
+
+
+// Keeps the most recent 'capacity' records in a fixed-size ring buffer
+export class RingBufferSink extends LogSink {
+	constructor({capacity=500, ...options}={}) {
+		super(options);
+
+		if(!Number.isInteger(capacity) || capacity <= 0)
+			throw new ERRORS.internal(`Ring buffer capacity must be a positive integer, got '${capacity}'.`);
+
+		this.capacity = capacity;
+		this.buffer   = new Array(capacity);
+		this.next     = 0;
+		this.size     = 0;
+	}
+
+	write(record) {
+		this.buffer[this.next] = record;
+		this.next = (this.next + 1) % this.capacity;
+
+		if(this.size < this.capacity)
+			this.size++;
+	}
+
+	// Buffered records, oldest first
+	get records() {
+		if(this.size < this.capacity)
+			return this.buffer.slice(0, this.size);
+
+		return [...this.buffer.slice(this.next), ...this.buffer.slice(0, this.next)];
+	}
+
+	// See 'filter_records'
+	query(criteria) {
+		return filter_records(this.records, criteria);
+	}
+
+	clear() {
+		this.buffer = new Array(this.capacity);
+		this.next   = 0;
+		this.size   = 0;
+	}
+}
+
+
+/*
+ * Formats records as JSON lines, i.e. one JSON object per line.
+ * Lines are passed to 'output' if provided, otherwise they are kept in 'lines' (up to 'limit' lines).
+ */
+export class JsonLinesSink extends LogSink {
+	static format(record) {
+		return JSON.stringify(record);
+	}
+
+	constructor({output=null, limit=1000, ...options}={}) {
+		super(options);
+		this.output = output;
+		this.limit  = limit;
+		this.lines  = [];
+	}
+
+	write(record) {
+		const line = this.constructor.format(record);
+
+		if(this.output) {
+			this.output(line);
+			return;
+		}
+
+		this.lines.push(line);
+		if(this.limit !== null && this.lines.length > this.limit)
+			this.lines.splice(0, this.lines.length - this.limit);
+	}
+
+	get text() {
+		return this.lines.join('\n');
+	}
+
+	clear() {
+		this.lines.length = 0;
+	}
+}
\ No newline at end of file
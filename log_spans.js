@@ -0,0 +1,185 @@
+// SPDX-License-Identifier: LGPL-3.0-or-later
+// Copyright © 2021 fvtt-shared-library Rui Pinheiro
+
+'use strict';
+
+import { ERRORS } from '../errors/errors.js';
+
+
+//*********************
+// Constants
+
+// Maximum number of durations kept per span name when calculating percentiles
+const SPAN_STATS_SAMPLES = 1000;
+
+// Spans whose 'run' callback is currently executing synchronously, innermost last. New spans are automatically nested inside the innermost one.
+// Spans are only pushed for the synchronous duration of 'run', so spans that are never ended, or that end after an 'await', cannot
+// become the parent of unrelated spans.
+const RUNNING_SPANS = [];
+
+
+//*********************
+// Utility functions
+const now = function() {
+	return globalThis.performance?.now?.() ?? Date.now();
+}
+
+const performance_call = function(method, ...args) {
+	try {
+		globalThis.performance?.[method]?.(...args);
+	}
+	catch(e) {
+		// Marks and measures are only a debugging aid, so failing to create them must not break the caller
+	}
+}
+
+
+//*********************
+// Span statistics
+// Aggregated durations for all spans with the same name
+export class SpanStats {
+	constructor(name) {
+		this.name    = name;
+		this.count   = 0;
+		this.total   = 0;
+		this.min     = Infinity;
+		this.max     = -Infinity;
+		this.samples = [];
+	}
+
+	add(duration) {
+		this.count++;
+		this.total += duration;
+		this.min = Math.min(this.min, duration);
+		this.max = Math.max(this.max, duration);
+
+		// Keep only the most recent samples
+		this.samples.push(duration);
+		if(this.samples.length > SPAN_STATS_SAMPLES)
+			this.samples.shift();
+	}
+
+	get mean() {
+		return this.count ? (this.total / this.count) : 0;
+	}
+
+	// Percentile calculated from the most recent samples, with 'p' between 0 and 100
+	percentile(p) {
+		if(!this.samples.length)
+			return 0;
+
+		const sorted = [...this.samples].sort((a, b) => a - b);
+		const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+		return sorted[idx];
+	}
+
+	get p95() {
+		return this.percentile(95);
+	}
+
+	toJSON() {
+		return {
+			name : this.name,
+			count: this.count,
+			total: this.total,
+			mean : this.mean,
+			min  : this.count ? this.min : 0,
+			max  : this.count ? this.max : 0,
+			p95  : this.p95
+		};
+	}
+
+	toString() {
+		return `${this.name}: count=${this.count} mean=${this.mean.toFixed(3)}ms p95=${this.p95.toFixed(3)}ms max=${(this.count ? this.max : 0).toFixed(3)}ms`;
+	}
+}
+Object.freeze(SpanStats);
+
+
+//*********************
+// Span class
+/*
+ * Measures the time between its creation and 'end()'. Spans emit 'performance.mark' and 'performance.measure' entries, so they
+ * show up in the browser's performance profiler, log their duration, and add it to the statistics in 'stats'.
+ * The entries are cleared from the performance timeline once recorded, so they do not accumulate.
+ *
+ * Spans created while another span's 'run' callback executes are nested inside it. Otherwise, use 'span' to nest explicitly.
+ *
+ * Spans should be created through 'Logger.span', which returns 'null' if the verbosity is disabled.
+ */
+export class Span {
+	/*
+	 * Parameters:
+	 * - name  : Span name. Nested spans are named '<parent name>/<name>'.
+	 * - log   : Function used to log the duration, or 'null' to not log it.
+	 * - stats : Map of span names to 'SpanStats', updated when the span ends, or 'null'.
+	 * - parent: Parent span. Defaults to the innermost span whose 'run' callback is executing, if any.
+	 * - prefix: Prefix used for the performance mark/measure names, e.g. the logger name.
+	 */
+	constructor(name, {log=null, stats=null, parent=undefined, prefix=''}={}) {
+		if(typeof name !== 'string' || !name)
+			throw new ERRORS.internal(`Span names must be non-empty strings, got '${name}'.`);
+
+		this.parent    = (parent === undefined) ? (RUNNING_SPANS[RUNNING_SPANS.length - 1] ?? null) : parent;
+		this.name      = this.parent ? `${this.parent.name}/${name}` : name;
+		this.depth     = this.parent ? this.parent.depth + 1 : 0;
+		this.log       = log;
+		this.stats     = stats;
+		this.prefix    = prefix;
+		this.mark      = `${prefix}${this.name}`;
+		this.start     = now();
+		this.duration  = null;
+
+		performance_call('mark', `${this.mark}:start`);
+	}
+
+	get ended() {
+		return this.duration !== null;
+	}
+
+	// Creates a span nested inside this one, even if it is not the innermost active span
+	span(name) {
+		return new Span(name, {log: this.log, stats: this.stats, parent: this, prefix: this.prefix});
+	}
+
+	// Calls 'fn', nesting any spans created synchronously inside it under this span. Does not end this span.
+	run(fn) {
+		RUNNING_SPANS.push(this);
+
+		try {
+			return fn();
+		}
+		finally {
+			const idx = RUNNING_SPANS.lastIndexOf(this);
+			if(idx >= 0)
+				RUNNING_SPANS.splice(idx, 1);
+		}
+	}
+
+	// Ends the span, returning its duration in milliseconds. Ending a span more than once does nothing.
+	end() {
+		if(this.ended)
+			return this.duration;
+
+		this.duration = now() - this.start;
+
+		// Note: Profilers that are recording keep the measure even after it is cleared from the timeline buffer
+		performance_call('measure', this.mark, `${this.mark}:start`);
+		performance_call('clearMarks', `${this.mark}:start`);
+		performance_call('clearMeasures', this.mark);
+
+		if(this.stats) {
+			let stats = this.stats.get(this.name);
+			if(!stats) {
+				stats = new SpanStats(this.name);
+				this.stats.set(this.name, stats);
+			}
+			stats.add(this.duration);
+		}
+
+		this.log?.(`${'  '.repeat(this.depth)}${this.name}: ${this.duration.toFixed(3)}ms`);
+
+		return this.duration;
+	}
+}
+Object.freeze(Span);
\ No newline at end of file
@@ -4,19 +4,38 @@
 'use strict';
 
 import {PACKAGE_ID, PACKAGE_TITLE} from '../consts.js';
-import {Enum} from './enums.js';
+import {Enum, EnumEntry} from './enums.js';
 import {i18n} from './i18n.js';
 import {Log} from './log.js';
+import {set_package_resolver} from './log_sinks.js';
 import {game_version, isNewerVersion} from './polyfill.js';
+import {Version} from './version.js';
+import {parse_stack_trace, collect_stack_trace} from './stack_trace.js';
 
 
 //*********************
 // ID types
-export const PACKAGE_TYPES = Enum('PackageType', [
-	"UNKNOWN",
-	"MODULE",
-	"SYSTEM",
-	"WORLD"
+export const PACKAGE_TYPES = Enum('PackageType', {
+	"UNKNOWN": EnumEntry(undefined, {i18n: `${PACKAGE_ID}.packages.types.unknown`}),
+	"MODULE" : EnumEntry(undefined, {i18n: `${PACKAGE_ID}.packages.types.module`}),
+	"SYSTEM" : EnumEntry(undefined, {i18n: `${PACKAGE_ID}.packages.types.system`}),
+	"WORLD"  : EnumEntry(undefined, {i18n: `${PACKAGE_ID}.packages.types.world`}),
+	"CORE"   : EnumEntry(undefined, {i18n: `${PACKAGE_ID}.packages.types.core`})
+});
+
+// Compatibility severities, ordered from least to most severe
+export const COMPATIBILITY_SEVERITY = Enum('CompatibilitySeverity', {
+	"OK"     :   0,
+	"INFO"   : 100,
+	"WARNING": 200,
+	"ERROR"  : 300
+});
+
+// Relationship types
+export const RELATIONSHIP_TYPES = Enum('RelationshipType', [
+	"REQUIRES",
+	"RECOMMENDS",
+	"CONFLICTS"
 ]);
 
 
@@ -24,56 +43,323 @@ export const PACKAGE_TYPES = Enum('PackageType', [
 // Constants
 const KEY_SEPARATOR = ':';
 const UNKNOWN_ID = '\u00ABunknown\u00BB';
+const CORE_ID = 'foundry';
+const CORE_TITLE = 'Foundry VTT';
 const PACKAGE_ID_REGEX = new RegExp("^[a-z0-9_-]+$", "i");
-const STACK_TRACE_REGEX = /^.*?\/(worlds|systems|modules)\/(.+?)(?=\/).*?$/igm;
+const PACKAGE_URL_REGEX = /\/(worlds|systems|modules)\/(.+?)(?=\/)/i;
+
+// Maps the package type names accepted in URL patterns to the directory names used by Foundry
+const URL_PACKAGE_TYPES = {
+	world  : 'worlds',
+	worlds : 'worlds',
+	system : 'systems',
+	systems: 'systems',
+	module : 'modules',
+	modules: 'modules',
+	core   : 'core'
+};
 
 // A package ID string, or an array of package ID strings, that should be ignored when automatically detecting the package ID based on a stack trace.
 // Not set as a constant, so that a default value can be set by the user
+// Read by the default detection policy every time detection runs, see 'PackageInfo.policy'.
 export let IGNORE_PACKAGE_IDS = PACKAGE_ID;
 
 
+//*********************
+// Package URL layouts
+
+// Route prefix override. 'undefined' means it is auto-detected from the running game.
+let ROUTE_PREFIX = undefined;
+
+// Cached regexes anchored to the current route prefix:
+// - package: Package files, e.g. 'https://host/vtt/modules/foo/'. Only used if there is a route prefix.
+// - core   : Foundry core scripts, e.g. 'https://host/vtt/scripts/foundry.js', the '/common/' and '/client-esm/' ESM
+//            paths (v11+), or the '/client/' path (v13+)
+let ROUTE_PREFIX_CACHE = {prefix: undefined, package: null, core: null};
+
+// Extra URL patterns registered by the user, e.g. for CDN-hosted assets
+const EXTRA_URL_PATTERNS = [];
+
+// Extra URL patterns that have already been reported for returning an invalid result, so that each is only reported once
+const INVALID_URL_PATTERNS = new WeakSet();
+
+// Cache of URL to 'match_package_url' results, as the same few script URLs show up in almost every stack trace
+const URL_MATCH_CACHE = new Map();
+const URL_MATCH_CACHE_MAX_SIZE = 1000;
+let URL_MATCH_CACHE_PREFIX = null;
+
+const get_route_prefix = function() {
+	const prefix = (ROUTE_PREFIX !== undefined) ? ROUTE_PREFIX : (globalThis.ROUTE_PREFIX ?? globalThis.game?.data?.options?.routePrefix);
+	if(!prefix || typeof prefix !== 'string')
+		return null;
+
+	// Normalise, e.g. '/vtt/' => 'vtt'
+	return prefix.replace(/^\/+|\/+$/g, '') || null;
+}
+
+const get_route_prefix_regexes = function() {
+	const prefix = get_route_prefix();
+
+	if(ROUTE_PREFIX_CACHE.prefix !== prefix) {
+		const origin = '^(?:[a-z][a-z0-9+.-]*:\\/\\/[^/]*)?';
+		const escaped = prefix ? `\\/${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` : '';
+
+		ROUTE_PREFIX_CACHE = {
+			prefix : prefix,
+			package: prefix ? new RegExp(`${origin}${escaped}\\/(worlds|systems|modules)\\/(.+?)(?=\\/)`, 'i') : null,
+			core   : new RegExp(`${origin}${escaped}\\/(?:scripts|common|client|client-esm)\\/`, 'i')
+		};
+	}
+
+	return ROUTE_PREFIX_CACHE;
+}
+
+/*
+ * Matches a script URL against the known package URL layouts.
+ * Returns a [type, id] tuple, where type is one of 'worlds', 'systems', 'modules' or 'core', or 'null' if there is no match.
+ *
+ * Layouts are tried in the following order:
+ * 1. Patterns registered through 'PackageInfo.register_url_pattern'
+ * 2. Foundry's URL layout anchored to the route prefix, e.g. 'https://host/<prefix>/modules/<id>/'
+ * 3. Foundry's core script paths, anchored to the route prefix, e.g. 'https://host/<prefix>/scripts/'
+ * 4. Foundry's URL layout anywhere in the URL, e.g. 'https://host/modules/<id>/'
+ */
+const match_package_url = function(url) {
+	// The route prefix can change at runtime (e.g. while the game is initialising), so invalidate the cache if it does
+	const prefix = get_route_prefix();
+	if(prefix !== URL_MATCH_CACHE_PREFIX) {
+		URL_MATCH_CACHE.clear();
+		URL_MATCH_CACHE_PREFIX = prefix;
+	}
+
+	// Use cached result if there is one
+	let result = URL_MATCH_CACHE.get(url);
+	if(result !== undefined)
+		return result;
+
+	// Otherwise, calculate it and store it in the cache
+	result = match_package_url_uncached(url);
+
+	if(URL_MATCH_CACHE.size >= URL_MATCH_CACHE_MAX_SIZE)
+		URL_MATCH_CACHE.clear();
+	URL_MATCH_CACHE.set(url, result);
+
+	return result;
+}
+
+const match_package_url_uncached = function(url) {
+	// Extra patterns
+	for(const pattern of EXTRA_URL_PATTERNS) {
+		let result;
+
+		if(pattern instanceof RegExp)
+			result = url.match(pattern)?.groups;
+		else
+			result = pattern(url);
+
+		if(!result?.type)
+			continue;
+
+		// Invalid results are skipped instead of throwing, as this runs every time a package is detected
+		const type = URL_PACKAGE_TYPES[String(result.type).toLowerCase()];
+		const problem = !type ? `invalid package type '${result.type}'` : (!result.id && type !== 'core') ? `missing package ID for type '${result.type}'` : null;
+		if(problem) {
+			if(!INVALID_URL_PATTERNS.has(pattern)) {
+				INVALID_URL_PATTERNS.add(pattern);
+				Log.warn$?.(`Ignoring the result of URL pattern ${pattern} for '${url}': ${problem}.`);
+			}
+			continue;
+		}
+
+		return [type, (type === 'core') ? CORE_ID : result.id];
+	}
+
+	const regexes = get_route_prefix_regexes();
+
+	// Route prefix
+	const prefix_match = regexes.package?.exec(url);
+	if(prefix_match)
+		return [prefix_match[1].toLowerCase(), prefix_match[2]];
+
+	// Core
+	if(regexes.core.test(url))
+		return ['core', CORE_ID];
+
+	// Default
+	const match = url.match(PACKAGE_URL_REGEX);
+	if(match)
+		return [match[1].toLowerCase(), match[2]];
+
+	return null;
+}
+
+
+//*********************
+// Package registry
+
+// Canonical PackageInfo instances, indexed by key
+const PACKAGE_REGISTRY = new Map();
+
+// Canonical PackageInfo instances, indexed by ID, for lookups where the package type needs to be detected
+const PACKAGE_ID_CACHE = new Map();
+
+// Type detection depends on 'game.modules'. Packages looked up by ID before it is available, and whose type could not be detected,
+// are kept unfrozen, indexed by ID. They receive their type once it is known, either when the same package is interned with a type
+// (e.g. detected from a stack trace), or when 'game.modules' becomes available. This way each ID keeps a single instance, and any
+// data attached to it through a 'PackageSlot'.
+const PROVISIONAL_PACKAGES = new Map();
+let PACKAGE_ID_CACHE_HAS_MODULES = false;
+
+// Returns the canonical instance for a PackageInfo object, registering it if it is the first one with its key
+const intern_package = function(pkg) {
+	const key = pkg.key;
+
+	const existing = PACKAGE_REGISTRY.get(key);
+	if(existing)
+		return existing;
+
+	// Reuse the provisional instance for this ID, if any, now that its type is known
+	const provisional = PROVISIONAL_PACKAGES.get(pkg.id);
+	if(provisional && provisional !== pkg && pkg.type !== PACKAGE_TYPES.UNKNOWN) {
+		PROVISIONAL_PACKAGES.delete(pkg.id);
+		PACKAGE_REGISTRY.delete(provisional.key);
+
+		provisional.type = pkg.type;
+		pkg = provisional;
+	}
+
+	Object.freeze(pkg);
+	PACKAGE_REGISTRY.set(key, pkg);
+	return pkg;
+}
+
+// Returns the canonical instance for a package ID, detecting its type. Before 'game.modules' is available, packages whose type
+// cannot be detected are registered as provisional (see 'PROVISIONAL_PACKAGES').
+const intern_package_id = function(id) {
+	if(PACKAGE_ID_CACHE_HAS_MODULES)
+		return intern_package(new PackageInfo(id));
+
+	// Equivalent to 'new PackageInfo(id)', but without freezing the instance
+	const pkg = Object.create(PackageInfo.prototype);
+	pkg.set(id, null, /*freeze=*/ false);
+
+	const existing = PACKAGE_REGISTRY.get(pkg.key);
+	if(existing)
+		return existing;
+
+	if(pkg.type !== PACKAGE_TYPES.UNKNOWN)
+		return intern_package(pkg);
+
+	// Use the package with this ID that was already interned with a type (e.g. detected from a stack trace), if there is exactly one
+	const typed = [...PACKAGE_REGISTRY.values()].filter((x) => x.id === id && x.type !== PACKAGE_TYPES.UNKNOWN);
+	if(typed.length === 1)
+		return typed[0];
+
+	PROVISIONAL_PACKAGES.set(id, pkg);
+	PACKAGE_REGISTRY.set(pkg.key, pkg);
+	return pkg;
+}
+
+// Detects the type of the provisional packages once 'game.modules' becomes available, and registers them under their new keys
+const resolve_provisional_packages = function() {
+	if(PACKAGE_ID_CACHE_HAS_MODULES || !globalThis.game?.modules)
+		return;
+
+	PACKAGE_ID_CACHE_HAS_MODULES = true;
+
+	for(const pkg of PROVISIONAL_PACKAGES.values()) {
+		const old_key = pkg.key;
+		pkg.detect_type();
+		Object.freeze(pkg);
+
+		const key = pkg.key;
+		if(key === old_key)
+			continue;
+
+		if(PACKAGE_REGISTRY.get(old_key) === pkg)
+			PACKAGE_REGISTRY.delete(old_key);
+
+		// If the package was also looked up by key in the meantime, that instance stays canonical
+		const existing = PACKAGE_REGISTRY.get(key);
+		if(existing)
+			PACKAGE_ID_CACHE.set(pkg.id, existing);
+		else
+			PACKAGE_REGISTRY.set(key, pkg);
+	}
+
+	PROVISIONAL_PACKAGES.clear();
+}
+
+
 //*********************
 // Utility methods
 
+// Deduplicate the packages of a list of frames, keeping their order
+const unique_packages = function(frames) {
+	const keys = new Set();
+	const packages = [];
+
+	for(const frame of frames) {
+		const key = frame.package.key;
+		if(keys.has(key))
+			continue;
+
+		keys.add(key);
+		packages.push(frame.package);
+	}
+
+	return packages;
+}
+
+// Check whether a module ID is in a list of ignored IDs (see 'IGNORE_PACKAGE_IDS')
+const is_ignored_module = function(id, ignore_ids) {
+	return !!ignore_ids && (id === ignore_ids || !!ignore_ids?.includes?.(id));
+}
+
+// Check whether a package should be ignored, given either a 'DetectionPolicy' or a list of ignored module IDs
+const is_ignored_package = function(pkg, ignore, frame=undefined) {
+	if(ignore instanceof DetectionPolicy)
+		return ignore.is_ignored(pkg, frame);
+
+	return (pkg.type === PACKAGE_TYPES.MODULE) && is_ignored_module(pkg.id, ignore);
+}
+
 /**
+ * 'ignore' is either a 'DetectionPolicy', or a module ID / list of module IDs to ignore.
+ * Core frames are only reported if 'include_core' is 'true'.
+ *
  * @returns {boolean} Returns 'false' if aborted early (because of 'matchFn' returning 'false'), 'true' if executed to completion.
  */
-const foreach_package_in_stack_trace = function(matchFn, stack_trace, ignore_ids) {
+const foreach_package_in_stack_trace = function(matchFn, stack_trace, ignore, include_core=false) {
+	let frames;
+
 	// If supplied, stack_trace must be a string
 	if(stack_trace !== undefined) {
 		if(typeof stack_trace !== 'string')
 			throw new Error(`${PACKAGE_TITLE}: Parameter 'stack_trace' must be a string, got ${typeof stack_trace}.`);
+
+		// If the stack trace is empty, just exit
+		if(!stack_trace)
+			return true;
+
+		frames = parse_stack_trace(stack_trace);
 	}
 	// Collect stack trace if none passed
 	else {
-		const old_stack_limit = Error.stackTraceLimit;
-
-		try {
-			Error.stackTraceLimit = Infinity;
-			stack_trace = Error().stack;
-		}
-		finally {
-			Error.stackTraceLimit = old_stack_limit;
-		}
-
-		// Simply exit if not a string
-		if(typeof stack_trace !== 'string')
-			return true;
+		frames = collect_stack_trace();
 	}
 
-	// If the stack trace is empty, just exit
-	if(!stack_trace)
-		return true;
+	// Find matches
+	for(const frame of frames) {
+		// Inline 'data:' URLs can contain arbitrary text, so never attribute them to a package
+		if(!frame.url || frame.url.startsWith('data:'))
+			continue;
 
-	// Apply regex onto stack trace
-	const matches = stack_trace.matchAll(STACK_TRACE_REGEX);
-	if(!matches)
-		return true;
+		const match = match_package_url(frame.url);
+		if(!match)
+			continue;
 
-	// Find matches
-	for(const match of matches) {
-		const type = match[1];
-		const name = match[2];
+		const [type, name] = match;
 
 		if(!type || !name)
 			continue;
@@ -101,18 +387,29 @@ const foreach_package_in_stack_trace = function(matchFn, stack_trace, ignore_ids
 			if(globalThis.game?.modules && !globalThis.game.modules.has(name))
 				continue;
 
-			if(ignore_ids && (name === ignore_ids || ignore_ids?.includes?.(name)))
-				continue;
-
 			match_id   = name;
 			match_type = PACKAGE_TYPES.MODULE;
 		}
+		else if(type === 'core') {
+			if(!include_core)
+				continue;
+
+			match_id   = CORE_ID;
+			match_type = PACKAGE_TYPES.CORE;
+		}
 		else {
 			throw new Error(`${PACKAGE_TITLE}: Invalid script type: ${type}`);
 		}
 
+		// Annotate the frame with the package it belongs to
+		if(!frame.package)
+			frame.package = PackageInfo.get(match_id, match_type);
+
+		if(ignore && is_ignored_package(frame.package, ignore, frame))
+			continue;
+
 		// On match, call matchFn, and return if it returns 'false'
-		const matchRes = matchFn(match_id, match_type, match[0]);
+		const matchRes = matchFn(match_id, match_type, frame.raw, frame);
 		if(matchRes === false)
 			return false;
 	}
@@ -122,6 +419,159 @@ const foreach_package_in_stack_trace = function(matchFn, stack_trace, ignore_ids
 }
 
 
+//*********************
+// Detection policy class
+// Rules used when automatically detecting packages from a stack trace: which packages to ignore, and which to prefer.
+// Policies can extend a parent policy, in which case the parent's rules also apply.
+export class DetectionPolicy {
+	constructor({ids=[], types=[], globs=[], predicates=[], prefer=null}={}, parent=null) {
+		if(parent !== null && !(parent instanceof DetectionPolicy))
+			throw new Error(`${PACKAGE_TITLE}: Parameter 'parent' must be a DetectionPolicy, got ${parent}.`);
+
+		this.parent     = parent;
+		this.ids        = new Set();
+		this.types      = new Set();
+		this.globs      = [];
+		this.predicates = [];
+		this.preferred  = null;
+
+		this.ignore_ids(ids);
+		this.ignore_types(types);
+		this.ignore_globs(globs);
+		this.ignore_if(predicates);
+
+		if(prefer)
+			this.prefer(prefer);
+	}
+
+
+	/*
+	 * Rules
+	 */
+
+	/*
+	 * Adds ignore rules. 'rules' is a rule or array of rules, where each rule is one of:
+	 * - A PACKAGE_TYPES value: Ignore all packages of that type
+	 * - A function: Ignore packages for which 'fn(package_info, frame)' returns 'true'
+	 * - A RegExp or a string containing '*' or '?': Glob matched against the package ID, or the package key if it contains ':'
+	 * - Any other string: Package ID to ignore
+	 */
+	ignore(rules) {
+		for(const rule of [rules].flat()) {
+			if(PACKAGE_TYPES.has(rule))
+				this.ignore_types(rule);
+			else if(typeof rule === 'function')
+				this.ignore_if(rule);
+			else if(rule instanceof RegExp || (typeof rule === 'string' && /[*?]/.test(rule)))
+				this.ignore_globs(rule);
+			else if(typeof rule === 'string')
+				this.ignore_ids(rule);
+			else
+				throw new Error(`${PACKAGE_TITLE}: Invalid detection policy rule '${rule}'.`);
+		}
+
+		return this;
+	}
+
+	ignore_ids(ids) {
+		for(const id of [ids].flat()) {
+			if(typeof id !== 'string')
+				throw new Error(`${PACKAGE_TITLE}: Ignored package IDs must be strings, got ${typeof id}.`);
+			this.ids.add(id);
+		}
+		return this;
+	}
+
+	ignore_types(types) {
+		for(const type of [types].flat())
+			this.types.add(PACKAGE_TYPES.get(type));
+		return this;
+	}
+
+	ignore_globs(globs) {
+		for(const glob of [globs].flat()) {
+			if(glob instanceof RegExp) {
+				this.globs.push({regex: glob, key: false});
+				continue;
+			}
+
+			if(typeof glob !== 'string')
+				throw new Error(`${PACKAGE_TITLE}: Globs must be strings or RegExp objects, got ${typeof glob}.`);
+
+			const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+			this.globs.push({regex: new RegExp(`^${source}$`, 'i'), key: glob.includes(KEY_SEPARATOR)});
+		}
+		return this;
+	}
+
+	ignore_if(predicates) {
+		for(const predicate of [predicates].flat()) {
+			if(typeof predicate !== 'function')
+				throw new Error(`${PACKAGE_TITLE}: Predicates must be functions, got ${typeof predicate}.`);
+			this.predicates.push(predicate);
+		}
+		return this;
+	}
+
+	/*
+	 * Sets the priority of package types, highest priority first. When detecting the calling package, the innermost package
+	 * with the highest priority is used. Types not in the list have the lowest priority.
+	 *
+	 * Usage Example (prefer modules over the system):
+	 *   policy.prefer([PACKAGE_TYPES.MODULE]);
+	 */
+	prefer(types) {
+		this.preferred = [types].flat().map((x) => PACKAGE_TYPES.get(x));
+		return this;
+	}
+
+	// Returns a new policy that inherits all rules from this one, plus 'rules' (see 'ignore')
+	extend(rules=[]) {
+		return new DetectionPolicy({}, this).ignore(rules);
+	}
+
+
+	/*
+	 * Queries
+	 */
+	is_ignored(pkg, frame=undefined) {
+		if(this.ids.has(pkg.id) || this.types.has(pkg.type))
+			return true;
+
+		for(const glob of this.globs) {
+			if(glob.regex.test(glob.key ? pkg.key : pkg.id))
+				return true;
+		}
+
+		for(const predicate of this.predicates) {
+			if(predicate(pkg, frame))
+				return true;
+		}
+
+		return this.parent?.is_ignored(pkg, frame) ?? false;
+	}
+
+	// Returns the priority of a package type, where 0 is the highest priority
+	priority(type) {
+		const preferred = this.effective_preferred;
+		if(!preferred)
+			return 0;
+
+		const idx = preferred.indexOf(type);
+		return (idx < 0) ? preferred.length : idx;
+	}
+
+	get effective_preferred() {
+		return this.preferred ?? this.parent?.effective_preferred ?? null;
+	}
+}
+
+// Default policy, and stack of scoped policies (see 'PackageInfo.with_policy')
+// The default policy ignores 'IGNORE_PACKAGE_IDS', looking up its current value on every check
+let DEFAULT_POLICY = new DetectionPolicy({predicates: [(pkg) => is_ignored_module(pkg.id, IGNORE_PACKAGE_IDS)]});
+const POLICY_STACK = [];
+
+
 //*********************
 // Package info class
 // Stores package information. Able to auto-detect the package ID that is calling libWrapper.
@@ -130,10 +580,186 @@ export class PackageInfo {
 	 * Static methods
 	 */
 	static get UNKNOWN() {
-		return new PackageInfo(UNKNOWN_ID, PACKAGE_TYPES.UNKNOWN);
+		return this.get(UNKNOWN_ID, PACKAGE_TYPES.UNKNOWN);
 	};
 
-	static collect_all(stack_trace=undefined, include_fn=undefined, ignore_ids=undefined) {
+	/*
+	 * Detection policies
+	 */
+
+	// The detection policy currently in use, i.e. the innermost 'with_policy' / 'withIgnored' scope, or the default policy
+	static get policy() {
+		return POLICY_STACK[POLICY_STACK.length - 1] ?? DEFAULT_POLICY;
+	}
+
+	// Replaces the default detection policy for this copy of the library
+	static set policy(policy) {
+		if(!(policy instanceof DetectionPolicy))
+			throw new Error(`${PACKAGE_TITLE}: Parameter 'policy' must be a DetectionPolicy, got ${policy}.`);
+
+		DEFAULT_POLICY = policy;
+	}
+
+	/*
+	 * Runs 'fn' with 'policy' as the current detection policy, and returns its result.
+	 * Note: The scope only lasts while 'fn' runs synchronously, i.e. it does not extend past the first 'await' in an async function.
+	 */
+	static with_policy(policy, fn) {
+		if(!(policy instanceof DetectionPolicy))
+			throw new Error(`${PACKAGE_TITLE}: Parameter 'policy' must be a DetectionPolicy, got ${policy}.`);
+
+		POLICY_STACK.push(policy);
+		try {
+			return fn();
+		}
+		finally {
+			POLICY_STACK.pop();
+		}
+	}
+
+	/*
+	 * Runs 'fn' while additionally ignoring 'rules' (see 'DetectionPolicy.ignore'), and returns its result.
+	 *
+	 * Usage Example:
+	 *   PackageInfo.withIgnored(['my-helper-module', PACKAGE_TYPES.WORLD], () => new PackageInfo());
+	 */
+	static withIgnored(rules, fn) {
+		return this.with_policy(this.policy.extend(rules), fn);
+	}
+
+	// Auto-detects the calling package and returns its canonical instance
+	static detect(policy=this.policy, stack_trace=undefined) {
+		const pkg = new PackageInfo(UNKNOWN_ID);
+		pkg.detect_id(stack_trace, policy);
+		return this.get(pkg);
+	}
+
+	// Foundry VTT itself, used to attribute frames belonging to core scripts
+	static get CORE() {
+		return this.get(CORE_ID, PACKAGE_TYPES.CORE);
+	}
+
+	/*
+	 * Returns the canonical PackageInfo instance for a package, which allows comparing packages by identity or using them as Map keys.
+	 * Accepts a key, an ID (in which case the type is detected automatically), an ID and a type, or a PackageInfo object.
+	 * If nothing is passed, the package is auto-detected from the stack trace.
+	 */
+	static get(key_or_id=null, type=null) {
+		resolve_provisional_packages();
+
+		// PackageInfo instances
+		if(key_or_id instanceof PackageInfo)
+			return intern_package(key_or_id);
+
+		// Auto-detection
+		if(!key_or_id)
+			return intern_package(new PackageInfo());
+
+		if(typeof key_or_id !== 'string')
+			throw new Error(`${PACKAGE_TITLE}: PackageInfo IDs must be strings`);
+
+		// ID and type
+		if(type !== null) {
+			if(!PACKAGE_TYPES.has(type))
+				throw new Error(`${PACKAGE_TITLE}: Package type for '${key_or_id}' must belong to the PACKAGE_TYPES enum, but got '${type}'.`);
+
+			const existing = PACKAGE_REGISTRY.get(`${type.lower}${KEY_SEPARATOR}${key_or_id}`); // see 'get key' below
+			if(existing)
+				return existing;
+
+			return intern_package(new PackageInfo(key_or_id, type));
+		}
+
+		// Key
+		const existing = PACKAGE_REGISTRY.get(key_or_id);
+		if(existing)
+			return existing;
+
+		if(key_or_id.includes(KEY_SEPARATOR))
+			return intern_package(new PackageInfo(key_or_id));
+
+		// ID
+		let pkg = PACKAGE_ID_CACHE.get(key_or_id);
+		if(!pkg) {
+			pkg = intern_package_id(key_or_id);
+			PACKAGE_ID_CACHE.set(key_or_id, pkg);
+		}
+
+		return pkg;
+	}
+
+	/*
+	 * Creates a new metadata slot, which allows attaching arbitrary data to packages.
+	 * 'dflt' is either the default value, or a function that receives the package and returns its initial value.
+	 *
+	 * Usage Example:
+	 *   const COUNTERS = PackageInfo.create_slot('counters', () => ({calls: 0}));
+	 *   COUNTERS.get(PackageInfo.get('my-module')).calls++;
+	 */
+	static create_slot(name, dflt=undefined) {
+		return new PackageSlot(name, dflt);
+	}
+
+	// The route prefix used to recognise package URLs, e.g. 'vtt' for 'https://host/vtt/modules/foo/'.
+	// Auto-detected from the running game unless explicitly set. Setting it to 'undefined' restores auto-detection.
+	static get route_prefix() {
+		return get_route_prefix();
+	}
+
+	static set route_prefix(prefix) {
+		if(prefix !== undefined && prefix !== null && typeof prefix !== 'string')
+			throw new Error(`${PACKAGE_TITLE}: Route prefix must be a string, got ${typeof prefix}.`);
+
+		ROUTE_PREFIX = prefix;
+	}
+
+	/*
+	 * Registers an extra URL layout used to recognise package files, e.g. for CDN or Forge-style asset hosts.
+	 *
+	 * 'pattern' can be either:
+	 * - A RegExp with named groups 'type' and 'id', e.g. /^https:\/\/cdn\.example\.com\/(?<type>modules|systems)\/(?<id>[^/]+)\//
+	 * - A function that receives a URL and returns an object with 'type' and 'id' members, or 'null' if it does not match
+	 *
+	 * 'type' must be one of 'module', 'system' or 'world' (or their plural forms), or 'core' for Foundry core scripts, in which case
+	 * 'id' can be omitted (e.g. /(?<type>core)/). Matches with any other type, or without an 'id', are ignored and reported once.
+	 * Registered patterns take priority over the default Foundry URL layout.
+	 */
+	static register_url_pattern(pattern) {
+		if(!(pattern instanceof RegExp) && typeof pattern !== 'function')
+			throw new Error(`${PACKAGE_TITLE}: URL patterns must be a RegExp or a function, got ${typeof pattern}.`);
+
+		if(pattern instanceof RegExp && (pattern.global || pattern.sticky))
+			throw new Error(`${PACKAGE_TITLE}: URL pattern ${pattern} must not have the 'g' or 'y' flags.`);
+
+		if(pattern instanceof RegExp && !/\(\?<type>/.test(pattern.source))
+			throw new Error(`${PACKAGE_TITLE}: URL pattern ${pattern} must have a named group 'type'.`);
+
+		// Only patterns matching core scripts exclusively can omit the package ID
+		if(pattern instanceof RegExp && !/\(\?<id>/.test(pattern.source) && !/\(\?<type>core\)/i.test(pattern.source))
+			throw new Error(`${PACKAGE_TITLE}: URL pattern ${pattern} must have a named group 'id', unless its 'type' group only matches 'core'.`);
+
+		if(!EXTRA_URL_PATTERNS.includes(pattern))
+			EXTRA_URL_PATTERNS.push(pattern);
+
+		URL_MATCH_CACHE.clear();
+	}
+
+	static unregister_url_pattern(pattern) {
+		const idx = EXTRA_URL_PATTERNS.indexOf(pattern);
+		if(idx < 0)
+			return false;
+
+		EXTRA_URL_PATTERNS.splice(idx, 1);
+		URL_MATCH_CACHE.clear();
+		return true;
+	}
+
+	// Returns an ordered 'CallChain' with every package frame in the stack trace
+	static call_chain(stack_trace=undefined) {
+		return CallChain.collect(stack_trace);
+	}
+
+	static collect_all(stack_trace=undefined, include_fn=undefined, ignore=undefined, include_core=false) {
 		// Collect a set of all packages in the stack trace
 		const set = new Set();
 
@@ -148,18 +774,53 @@ export class PackageInfo {
 
 			set.add(key);
 			return true;
-		}, stack_trace, ignore_ids);
+		}, stack_trace, ignore, include_core);
 
 		// Convert the set into an array of PackageInfo objects
 		const modules = [];
 
 		for(const key of set)
-			modules.push(new PackageInfo(key));
+			modules.push(PackageInfo.get(key));
 
 		// Done
 		return modules;
 	}
 
+	// List of all active packages: modules, then the system, then the world
+	static get active_packages() {
+		const packages = [];
+
+		for(const [id, mdl] of globalThis.game?.modules ?? []) {
+			if(mdl?.active)
+				packages.push(this.get(id, PACKAGE_TYPES.MODULE));
+		}
+
+		const system_id = globalThis.game?.data?.system?.id;
+		if(system_id)
+			packages.push(this.get(system_id, PACKAGE_TYPES.SYSTEM));
+
+		const world_id = globalThis.game?.data?.world?.id;
+		if(world_id)
+			packages.push(this.get(world_id, PACKAGE_TYPES.WORLD));
+
+		return packages;
+	}
+
+	/*
+	 * Checks the relationships of a list of packages (by default all active packages), and returns a 'RelationshipReport' listing:
+	 * - Required packages that are not installed, or installed but not active
+	 * - Conflicting packages that are both active
+	 * - Required or recommended packages that are active, but whose version does not satisfy the declared constraints
+	 */
+	static check_relationships(packages=this.active_packages) {
+		return new RelationshipReport(packages);
+	}
+
+	// Checks the core compatibility of a list of packages (by default all active modules and the system), and returns a 'CompatibilityReport'
+	static compatibility_report(packages=this.active_packages.filter((x) => x.type !== PACKAGE_TYPES.WORLD)) {
+		return new CompatibilityReport(packages);
+	}
+
 	static is_valid_key_or_id(key_or_id) {
 		return this.is_valid_key(key_or_id) || this.is_valid_id(key_or_id);
 	}
@@ -263,16 +924,33 @@ export class PackageInfo {
 		return obj && (obj.constructor === this.constructor) && (obj.id === this.id) && (obj.type === this.type);
 	}
 
-	detect_id(stack_trace=undefined) {
+	detect_id(stack_trace=undefined, policy=PackageInfo.policy) {
 		this.set_unknown();
 
+		// Pick the innermost package with the best priority, stopping as soon as one with the best possible priority is found
+		let best = null;
+		let best_priority = Infinity;
+
 		foreach_package_in_stack_trace((id, type) => {
-			this.set(id, type);
-			return false; // stop on first match
-		}, stack_trace, IGNORE_PACKAGE_IDS);
+			const priority = policy.priority(type);
+			if(priority < best_priority) {
+				best = [id, type];
+				best_priority = priority;
+			}
+
+			return (priority > 0);
+		}, stack_trace, policy);
+
+		if(best)
+			this.set(...best);
 	}
 
 	detect_type() {
+		if(this.id === CORE_ID) {
+			this.type = PACKAGE_TYPES.CORE;
+			return;
+		}
+
 		// We need to support this even when 'game.modules' hasn't been initialised yet
 		if(!globalThis.game?.modules) {
 			if(this.id === PACKAGE_ID)
@@ -330,6 +1008,8 @@ export class PackageInfo {
 				return globalThis.game?.data?.system?.id === this.id;
 			case PACKAGE_TYPES.WORLD:
 				return globalThis.game?.data?.world?.id === this.id;
+			case PACKAGE_TYPES.CORE:
+				return game_version(/*return_null=*/ true) !== null;
 			default:
 				return false;
 		}
@@ -367,6 +1047,8 @@ export class PackageInfo {
 			case PACKAGE_TYPES.SYSTEM:
 			case PACKAGE_TYPES.WORLD :
 				return this.data.title;
+			case PACKAGE_TYPES.CORE:
+				return CORE_TITLE;
 			default:
 				return this.constructor.unknown_title;
 		}
@@ -377,7 +1059,7 @@ export class PackageInfo {
 	}
 
 	get type_i18n() {
-		return i18n.localize(`${PACKAGE_ID}.packages.types.${this.type.lower}`);
+		return this.type.label;
 	}
 
 	get type_plus_id() {
@@ -419,6 +1101,8 @@ export class PackageInfo {
 				return `${this.id} [System]`;
 			case PACKAGE_TYPES.WORLD:
 				return `${this.id} [World]`;
+			case PACKAGE_TYPES.CORE:
+				return `${CORE_TITLE} [Core]`;
 			default:
 				return this.id;
 		}
@@ -433,9 +1117,51 @@ export class PackageInfo {
 	}
 
 	get version() {
+		if(this.type === PACKAGE_TYPES.CORE)
+			return game_version(/*return_null=*/ true);
+
 		return this.data?.version;
 	}
 
+	// Returns the package version as a 'Version' object, or 'null' if it is missing or cannot be parsed
+	get parsed_version() {
+		const version = this.version;
+		if(!version)
+			return null;
+
+		return Version.parse(version, /*fail=*/ false);
+	}
+
+	// Relationships with other packages, as declared in the manifest
+	get relationships() {
+		return {
+			requires  : this.requires,
+			recommends: this.recommends,
+			conflicts : this.conflicts
+		};
+	}
+
+	get requires() {
+		const data = this.data;
+		if(!data)
+			return [];
+
+		// FVTT v10 and newer
+		if(data.relationships)
+			return PackageRelationship.from_manifest(this, RELATIONSHIP_TYPES.REQUIRES, data.relationships.requires);
+
+		// FVTT v9 and older
+		return PackageRelationship.from_manifest(this, RELATIONSHIP_TYPES.REQUIRES, data.dependencies);
+	}
+
+	get recommends() {
+		return PackageRelationship.from_manifest(this, RELATIONSHIP_TYPES.RECOMMENDS, this.data?.relationships?.recommends);
+	}
+
+	get conflicts() {
+		return PackageRelationship.from_manifest(this, RELATIONSHIP_TYPES.CONFLICTS, this.data?.relationships?.conflicts);
+	}
+
 	get core_version_range() {
 		const data = this.data;
 		if(!data)
@@ -449,40 +1175,525 @@ export class PackageInfo {
 		return [data.minimumCoreVersion, data.compatibleCoreVersion, null];
 	}
 
+	// Detailed result of checking this package's compatibility with the running Foundry version
+	get core_compatibility() {
+		return new CompatibilityResult(this);
+	}
+
 	get compatible_with_core() {
-		const versions = this.core_version_range;
-		const fvtt_version = game_version(/*return_null=*/ true);
-		const fvtt_major = fvtt_version?.split('.')[0];
+		return this.core_compatibility.compatible;
+	}
+}
+Object.freeze(PackageInfo);
 
-		if(!versions || !fvtt_version || !fvtt_major)
-			return true; // assume it is compatible if we aren't sure
 
-		// Check if the core version is between the minimum and maximum version
-		const [min, verif, max] = versions;
+//*********************
+// Compatibility result class
+
+// Bounds that can fail a core version check, most severe first, and the severity of failing them
+const CORE_VERSION_BOUND_SEVERITY = {
+	maximum : COMPATIBILITY_SEVERITY.ERROR,
+	minimum : COMPATIBILITY_SEVERITY.ERROR,
+	verified: COMPATIBILITY_SEVERITY.WARNING
+};
+
+// Checks a [minimum, verified, maximum] core version range against the running Foundry version
+const check_core_version_range = function(versions, fvtt_version) {
+	const result = {checks: [], failures: [], failed: null, inferred: false};
+	const fvtt_major = fvtt_version?.split('.')[0];
+
+	// Assume it is compatible if we aren't sure
+	if(!versions || !fvtt_version || !fvtt_major || !versions.some(Boolean)) {
+		result.inferred = true;
+		return result;
+	}
 
-		// Minimum version
-		if(min) {
-			const fvtt_min = min.includes('.') ? fvtt_version : fvtt_major;
-			if(min !== fvtt_min && !isNewerVersion(fvtt_min, min))
-				return false;
+	const check = (bound, expected, fn) => {
+		if(!expected)
+			return;
+
+		const actual = expected.includes('.') ? fvtt_version : fvtt_major;
+		const passed = fn(actual, expected);
+
+		result.checks.push(Object.freeze({bound, expected, actual, passed}));
+	};
+
+	// Check if the core version is between the minimum and maximum version
+	const [min, verif, max] = versions;
+
+	// Minimum version
+	check('minimum', min, (actual, expected) => actual === expected || isNewerVersion(actual, expected));
+
+	// Verified version
+	check('verified', verif, (actual, expected) => !isNewerVersion(actual, expected));
+
+	// Maximum version
+	check('maximum', max, (actual, expected) => actual != expected && !isNewerVersion(actual, expected));
+
+	// List every failed bound, most severe first, so that e.g. failing both 'verified' and 'maximum' is reported as 'maximum'
+	result.failures = Object.keys(CORE_VERSION_BOUND_SEVERITY).filter((bound) => result.checks.some((x) => x.bound === bound && !x.passed));
+	result.failed   = result.failures[0] ?? null;
+
+	return result;
+}
+
+// Result of checking a package against the running Foundry version. See 'PackageInfo.core_compatibility'.
+export class CompatibilityResult {
+	constructor(pkg) {
+		this.package      = pkg;
+		this.core_version = game_version(/*return_null=*/ true);
+
+		// 'checks' is a list of {bound, expected, actual, passed}, 'failures' the bounds that failed ('minimum', 'verified' or 'maximum')
+		// ordered from most to least severe, and 'failed' the most severe of them
+		const {checks, failures, failed, inferred} = check_core_version_range(pkg.core_version_range, this.core_version);
+		this.checks     = Object.freeze(checks);
+		this.failures   = Object.freeze(failures);
+		this.failed     = failed;
+		this.inferred   = inferred;
+		this.compatible = !failed;
+
+		if(failed)
+			this.severity = CORE_VERSION_BOUND_SEVERITY[failed];
+		else if(inferred)
+			this.severity = COMPATIBILITY_SEVERITY.INFO;
+		else
+			this.severity = COMPATIBILITY_SEVERITY.OK;
+
+		Object.freeze(this);
+	}
+
+	toString() {
+		if(this.failed) {
+			const failures = this.failures.map((bound) => {
+				const check = this.checks.find((x) => x.bound === bound);
+				return `${bound} core version '${check.expected}' not satisfied by '${check.actual}'`;
+			});
+			return `${this.package.logIdVersion}: ${failures.join(', ')}`;
 		}
 
-		// Verified version
-		if(verif) {
-			const fvtt_verif = verif.includes('.') ? fvtt_version : fvtt_major;
-			if(isNewerVersion(fvtt_verif, verif))
-				return false;
+		if(this.inferred)
+			return `${this.package.logIdVersion}: assumed compatible, missing compatibility data`;
+
+		return `${this.package.logIdVersion}: compatible`;
+	}
+}
+Object.freeze(CompatibilityResult);
+
+
+//*********************
+// Compatibility report class
+// Core compatibility results for multiple packages, grouped by severity. See 'PackageInfo.compatibility_report'.
+export class CompatibilityReport {
+	constructor(packages) {
+		this.core_version = game_version(/*return_null=*/ true);
+		this.results      = packages.map((x) => x.core_compatibility);
+
+		// Group by severity, most severe first
+		this.by_severity = new Map();
+		for(const severity of [...COMPATIBILITY_SEVERITY.list].reverse())
+			this.by_severity.set(severity, this.results.filter((x) => x.severity === severity));
+
+		Object.freeze(this.results);
+		Object.freeze(this);
+	}
+
+	get(severity) {
+		return this.by_severity.get(COMPATIBILITY_SEVERITY.get(severity)) ?? [];
+	}
+
+	get errors() {
+		return this.get(COMPATIBILITY_SEVERITY.ERROR);
+	}
+
+	get warnings() {
+		return this.get(COMPATIBILITY_SEVERITY.WARNING);
+	}
+
+	get compatible() {
+		return this.results.every((x) => x.compatible);
+	}
+
+	toString() {
+		const lines = [`Foundry VTT ${this.core_version ?? 'unknown'}`];
+
+		for(const [severity, results] of this.by_severity) {
+			if(!results.length)
+				continue;
+
+			lines.push(`${severity.name} (${results.length}):`);
+			for(const result of results)
+				lines.push(`  - ${result}`);
 		}
 
-		// Maximum version
-		if(max) {
-			const fvtt_max = max.includes('.') ? fvtt_version : fvtt_major;
-			if(fvtt_max == max || isNewerVersion(fvtt_max, max))
-				return false;
+		return lines.join('\n');
+	}
+
+	// Print the report to the console, with each severity logged at the matching verbosity
+	log() {
+		const verbosities = {
+			[COMPATIBILITY_SEVERITY.ERROR  .value]: Log.ERROR,
+			[COMPATIBILITY_SEVERITY.WARNING.value]: Log.WARNING,
+			[COMPATIBILITY_SEVERITY.INFO   .value]: Log.INFO,
+			[COMPATIBILITY_SEVERITY.OK     .value]: Log.DEBUG
+		};
+
+		for(const [severity, results] of this.by_severity) {
+			if(!results.length)
+				continue;
+
+			Log.fn(verbosities[severity.value])?.(`Core compatibility ${severity.lower} (${results.length}):\n${results.map((x) => `  - ${x}`).join('\n')}`);
 		}
+	}
+}
+Object.freeze(CompatibilityReport);
 
-		// Done
-		return true;
+
+//*********************
+// Package metadata slot class
+// Stores per-package data in a WeakMap keyed by the canonical PackageInfo instances. Create using 'PackageInfo.create_slot'.
+export class PackageSlot {
+	constructor(name, dflt=undefined) {
+		if(typeof name !== 'string')
+			throw new Error(`${PACKAGE_TITLE}: Slot name must be a string, got ${typeof name}.`);
+
+		this.name = name;
+		this.dflt = dflt;
+		this.map  = new WeakMap();
+
+		Object.freeze(this);
+	}
+
+	get(pkg) {
+		pkg = PackageInfo.get(pkg);
+
+		if(this.map.has(pkg))
+			return this.map.get(pkg);
+
+		if(this.dflt === undefined)
+			return undefined;
+
+		// Initialise with the default value
+		const value = (typeof this.dflt === 'function') ? this.dflt(pkg) : this.dflt;
+		this.map.set(pkg, value);
+		return value;
+	}
+
+	set(pkg, value) {
+		this.map.set(PackageInfo.get(pkg), value);
+		return value;
+	}
+
+	has(pkg) {
+		return this.map.has(PackageInfo.get(pkg));
+	}
+
+	delete(pkg) {
+		return this.map.delete(PackageInfo.get(pkg));
+	}
+
+	toString() {
+		return `PackageSlot(${this.name})`;
+	}
+}
+Object.freeze(PackageSlot);
+
+
+//*********************
+// Package relationship class
+// A 'requires', 'recommends' or 'conflicts' entry from a package manifest
+export class PackageRelationship {
+	/*
+	 * Static methods
+	 */
+	static from_manifest(source, kind, entries) {
+		const relationships = [];
+
+		for(const entry of entries ?? []) {
+			// FVTT v9 and older use 'name' instead of 'id'
+			const id = entry?.id ?? entry?.name;
+			if(!PackageInfo.is_valid_id(id))
+				continue;
+
+			const type = PACKAGE_TYPES.get(entry.type ?? 'module', /*dflt=*/ PACKAGE_TYPES.UNKNOWN);
+			relationships.push(new this(source, kind, PackageInfo.get(id, type), entry.compatibility, entry.reason));
+		}
+
+		return relationships;
+	}
+
+
+	/*
+	 * Constructor
+	 */
+	constructor(source, kind, pkg, compatibility=null, reason=null) {
+		this.source  = source;
+		this.kind    = kind;
+		this.package = pkg;
+		this.reason  = reason || null;
+
+		this.compatibility = Object.freeze({
+			minimum : compatibility?.minimum  || null,
+			verified: compatibility?.verified || null,
+			maximum : compatibility?.maximum  || null
+		});
+
+		Object.freeze(this);
+	}
+
+
+	/*
+	 * Attributes
+	 */
+
+	// Whether the related package is installed, even if it is not active
+	get installed() {
+		switch(this.package.type) {
+			case PACKAGE_TYPES.MODULE:
+				return !!globalThis.game?.modules?.has(this.package.id);
+			default:
+				return this.active;
+		}
+	}
+
+	get active() {
+		return !!this.package.exists;
+	}
+
+	// Version range string for the declared constraints, e.g. '>=1.2 <=2', or 'null' if there are none
+	get version_range() {
+		const {minimum, maximum} = this.compatibility;
+		const range = [minimum ? `>=${minimum}` : null, maximum ? `<=${maximum}` : null].filter(Boolean).join(' ');
+		return range || null;
+	}
+
+	// Returns 'true' if the related package's version satisfies the constraints, 'false' if it does not,
+	// or 'null' if it cannot be determined (e.g. package inactive, or unparseable versions)
+	get version_satisfied() {
+		const range = this.version_range;
+		if(!range)
+			return true;
+
+		const version = this.package.parsed_version;
+		if(!version)
+			return null;
+
+		try {
+			return version.satisfies(range);
+		}
+		catch(e) {
+			return null;
+		}
+	}
+
+
+	/*
+	 * Conversion
+	 */
+	toString() {
+		const range = this.version_range;
+		return `${this.source.logId} ${this.kind.lower} ${this.package.logId}${range ? ` (${range})` : ''}`;
+	}
+}
+Object.freeze(PackageRelationship);
+
+
+//*********************
+// Relationship report class
+// Result of 'PackageInfo.check_relationships'
+export class RelationshipReport {
+	constructor(packages) {
+		this.missing            = []; // required packages that are not installed
+		this.inactive           = []; // required packages that are installed but not active
+		this.conflicts          = []; // conflicting packages that are both active
+		this.version_mismatches = []; // active required/recommended packages whose version does not satisfy the constraints
+
+		for(const pkg of packages) {
+			for(const rel of pkg.requires) {
+				if(!rel.active)
+					(rel.installed ? this.inactive : this.missing).push(rel);
+				else if(rel.version_satisfied === false)
+					this.version_mismatches.push(rel);
+			}
+
+			for(const rel of pkg.recommends) {
+				if(rel.active && rel.version_satisfied === false)
+					this.version_mismatches.push(rel);
+			}
+
+			for(const rel of pkg.conflicts) {
+				if(!rel.active)
+					continue;
+
+				// If the conflict declares a version range, it only applies to versions within that range
+				if(rel.version_range && rel.version_satisfied === false)
+					continue;
+
+				this.conflicts.push(rel);
+			}
+		}
+
+		Object.freeze(this);
+	}
+
+	get ok() {
+		return !this.missing.length && !this.inactive.length && !this.conflicts.length && !this.version_mismatches.length;
+	}
+
+	toString() {
+		const lines = [];
+
+		const section = (title, list) => {
+			if(!list.length)
+				return;
+
+			lines.push(`${title}:`);
+			for(const rel of list)
+				lines.push(`  - ${rel}`);
+		};
+
+		section('Missing requirements', this.missing);
+		section('Inactive requirements', this.inactive);
+		section('Active conflicts', this.conflicts);
+		section('Unsatisfied version constraints', this.version_mismatches);
+
+		return lines.length ? lines.join('\n') : 'No relationship issues found.';
+	}
+}
+Object.freeze(RelationshipReport);
+
+
+//*********************
+// Package frame class
+// A single stack frame that belongs to a package
+export class PackageFrame {
+	constructor(frame) {
+		this.package  = frame.package;
+		this.function = frame.function;
+		this.file     = frame.url;
+		this.line     = frame.line;
+		this.column   = frame.column;
+		this.depth    = frame.depth;
+
+		Object.freeze(this);
+	}
+
+	get ignored() {
+		return this.is_ignored(PackageInfo.policy);
+	}
+
+	// 'ignore' is either a 'DetectionPolicy', or a module ID / list of module IDs to ignore
+	is_ignored(ignore) {
+		return is_ignored_package(this.package, ignore);
+	}
+
+	toString() {
+		const location = [this.file, this.line, this.column].filter((x) => x !== null).join(':');
+		return `${this.package.logId}: ${this.function ?? '<anonymous>'} (${location})`;
 	}
 }
-Object.freeze(PackageInfo);
\ No newline at end of file
+Object.freeze(PackageFrame);
+
+
+//*********************
+// Call chain class
+// Ordered list of the package frames in a stack trace, innermost frame first.
+// Unlike 'PackageInfo.collect_all', repeated entries into the same package are kept.
+export class CallChain {
+	/*
+	 * Static methods
+	 */
+	static collect(stack_trace=undefined) {
+		const frames = [];
+
+		foreach_package_in_stack_trace((id, type, match, frame) => {
+			frames.push(new PackageFrame(frame));
+			return true;
+		}, stack_trace, /*ignore=*/ null, /*include_core=*/ true);
+
+		return new this(frames);
+	}
+
+
+	/*
+	 * Constructor
+	 */
+	constructor(frames) {
+		this.frames = frames;
+		Object.freeze(this.frames);
+		Object.freeze(this);
+	}
+
+
+	/*
+	 * Attributes
+	 */
+	get length() {
+		return this.frames.length;
+	}
+
+	get empty() {
+		return this.frames.length === 0;
+	}
+
+	[Symbol.iterator]() {
+		return this.frames[Symbol.iterator]();
+	}
+
+	// Innermost package frame
+	get innermost() {
+		return this.frames[0] ?? null;
+	}
+
+	// Outermost package frame, i.e. the package that started this call chain
+	get outermost() {
+		return this.frames[this.frames.length - 1] ?? null;
+	}
+
+	// Deduplicated list of packages in this call chain, innermost first
+	get packages() {
+		return unique_packages(this.frames);
+	}
+
+
+	/*
+	 * Member methods
+	 */
+	filter(fn) {
+		return new this.constructor(this.frames.filter(fn));
+	}
+
+	// Returns the first frame that does not belong to an ignored package, e.g. the package calling into libWrapper
+	// Core frames are skipped unless 'include_core' is 'true'
+	first_caller(ignore=PackageInfo.policy, include_core=false) {
+		return this.frames.find((x) => !x.is_ignored(ignore) && (include_core || x.package.type !== PACKAGE_TYPES.CORE)) ?? null;
+	}
+
+	// Returns the frames strictly between frames 'a' and 'b', which can be either 'PackageFrame' objects or depths
+	frames_between(a, b) {
+		let min = (a instanceof PackageFrame) ? a.depth : a;
+		let max = (b instanceof PackageFrame) ? b.depth : b;
+
+		if(!Number.isInteger(min) || !Number.isInteger(max))
+			throw new Error(`${PACKAGE_TITLE}: Parameters 'a' and 'b' must be PackageFrame objects or integer depths.`);
+
+		if(min > max)
+			[min, max] = [max, min];
+
+		return this.frames.filter((x) => x.depth > min && x.depth < max);
+	}
+
+	// Returns the deduplicated list of packages strictly between frames 'a' and 'b', innermost first
+	packages_between(a, b) {
+		return unique_packages(this.frames_between(a, b));
+	}
+
+	toString() {
+		return this.frames.map((x) => x.toString()).join('\n');
+	}
+}
+Object.freeze(CallChain);
+
+
+//*********************
+// Allow structured log records to resolve the package that logged them, using the detection policy in effect when they were created
+set_package_resolver((stack_trace, policy) => PackageInfo.detect(policy ?? PackageInfo.policy, stack_trace), () => PackageInfo.policy);
\ No newline at end of file
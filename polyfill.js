@@ -111,8 +111,35 @@ export const game_version = function(return_null=true) {
 }
 
 
+// Functions used to convert the raw value of specific settings when read through 'game_settings_get', keyed by '<namespace>.<key>'
+const SETTING_CONVERTERS = new Map();
+
+// Registers a function to convert the value of a setting when read through 'game_settings_get', e.g. into an enum value.
+// Passing 'null' removes the converter.
+export const register_setting_converter = function(namespace, key, converter) {
+	const storage_key = `${namespace}.${key}`;
+
+	if(converter === null) {
+		SETTING_CONVERTERS.delete(storage_key);
+		return;
+	}
+
+	if(typeof converter !== 'function')
+		throw new ERRORS.internal(`Setting converter for '${storage_key}' must be a function or 'null'.`);
+
+	SETTING_CONVERTERS.set(storage_key, converter);
+}
+
 // Polyfill to get module settings (allows accessing settings before 'init' if they are client-scoped)
+// Settings with a converter (see 'register_setting_converter') are converted after being read.
 export const game_settings_get = function(namespace, key, always_fallback=false, return_null=true) {
+	const converter = SETTING_CONVERTERS.get(`${namespace}.${key}`);
+	const value = game_settings_get_raw(namespace, key, always_fallback, return_null);
+
+	return (converter && value !== null && value !== undefined) ? converter(value) : value;
+}
+
+const game_settings_get_raw = function(namespace, key, always_fallback, return_null) {
 	// Try game.settings.get first
 	try {
 		const orig_game_settings_get = globalThis.game?.settings?.get;
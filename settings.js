@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: LGPL-3.0-or-later
+// Copyright © 2021 fvtt-shared-library Rui Pinheiro
+
+'use strict';
+
+import { ERRORS } from '../errors/errors.js';
+import { game_settings_get, register_setting_converter } from './polyfill.js';
+
+
+//*********************
+// Enum setting class
+/*
+ * A Foundry setting whose value is a member of an Enum.
+ *
+ * The setting is registered with a 'choices' object built from the enum values and their (localised) labels, and is stored as the
+ * enum value's 'value' (or its name, for enums without values). Reading it through 'get', or through 'game_settings_get' (even
+ * before 'init' for client-scoped settings), returns the enum value object. Invalid stored values fall back to the default.
+ *
+ * Usage Example:
+ *   const setting = new EnumSetting(PACKAGE_ID, 'log-verbosity', VERBOSITY, {
+ *     default: VERBOSITY.WARNING,
+ *     name   : `${PACKAGE_ID}.settings.log-verbosity.name`,
+ *     hint   : `${PACKAGE_ID}.settings.log-verbosity.hint`
+ *   });
+ *
+ *   Hooks.once('init', () => setting.register());
+ *   setting.get(); // => VERBOSITY.WARNING
+ */
+export class EnumSetting {
+	/*
+	 * Options:
+	 * - default   : Default value, as anything accepted by 'Enum.get'. Defaults to the first enum value.
+	 * - choices   : Predicate selecting which enum values are offered as choices. Defaults to every value that is not deprecated.
+	 * - onChange  : Called with the new enum value when the setting changes.
+	 * Any other options (e.g. 'name', 'hint', 'scope', 'config') are passed to 'game.settings.register'. 'scope' defaults to 'client'.
+	 */
+	constructor(namespace, key, enum_cls, {default: dflt=undefined, choices=undefined, onChange=undefined, ...options}={}) {
+		if(typeof enum_cls?.get !== 'function' || !Array.isArray(enum_cls?.list))
+			throw new ERRORS.internal(`Parameter 'enum_cls' must be an Enum, got '${enum_cls}'.`);
+
+		this.namespace = namespace;
+		this.key       = key;
+		this.enum      = enum_cls;
+		this.default   = (dflt === undefined) ? enum_cls.list[0] : enum_cls.get(dflt);
+		this.filter    = choices ?? ((x) => !x.deprecated);
+		this.on_change = onChange ?? null;
+		this.options   = options;
+
+		// Convert the setting on read from now on, including reads before 'init' through the polyfill
+		register_setting_converter(namespace, key, this.parse.bind(this));
+	}
+
+
+	/*
+	 * Conversion
+	 */
+
+	// Converts an enum value (or anything accepted by 'Enum.get') into the value stored in the setting. Throws if invalid.
+	serialize(value) {
+		const enum_value = this.enum.get(value);
+		return enum_value.value ?? enum_value.name;
+	}
+
+	// Converts a stored value into an enum value, falling back to the default if it is invalid
+	parse(raw) {
+		if(raw === null || raw === undefined)
+			return this.default;
+
+		return this.enum.get(raw, /*dflt=*/ this.default);
+	}
+
+	// Whether the values are stored as numbers or strings
+	get type() {
+		return this.enum.list.every((x) => typeof x.value === 'number') ? Number : String;
+	}
+
+	// Choices object for 'game.settings.register', mapping stored values to labels
+	get choices() {
+		const choices = {};
+
+		for(const value of this.enum.list) {
+			// Always offer the default, even if it would otherwise be filtered out
+			if(value !== this.default && !this.filter(value))
+				continue;
+
+			choices[this.serialize(value)] = value.label;
+		}
+
+		return choices;
+	}
+
+
+	/*
+	 * Foundry settings
+	 */
+	register() {
+		const settings = globalThis.game?.settings;
+		if(!settings?.register)
+			throw new ERRORS.internal(`Unable to register the setting '${this.namespace}.${this.key}' before 'game.settings' is available.`);
+
+		settings.register(this.namespace, this.key, {
+			scope  : 'client',
+			config : true,
+			...this.options,
+			type    : this.type,
+			choices : this.choices,
+			default : this.serialize(this.default),
+			onChange: (raw) => this.on_change?.(this.parse(raw))
+		});
+
+		return this;
+	}
+
+	// Returns the current enum value. Works before 'init' for client-scoped settings.
+	get() {
+		return game_settings_get(this.namespace, this.key, /*always_fallback=*/ true, /*return_null=*/ true) ?? this.default;
+	}
+
+	// Stores a new value, which must be an enum value or anything accepted by 'Enum.get'. Returns the promise from 'game.settings.set'.
+	set(value) {
+		return globalThis.game.settings.set(this.namespace, this.key, this.serialize(value));
+	}
+
+	// Stops converting the setting when read through 'game_settings_get'
+	unregister_converter() {
+		register_setting_converter(this.namespace, this.key, null);
+	}
+}
+Object.freeze(EnumSetting);
+
+
+//*********************
+// Helpers
+
+// Creates and registers an EnumSetting. See the 'EnumSetting' constructor for the supported options.
+export const register_enum_setting = function(namespace, key, enum_cls, options={}) {
+	return new EnumSetting(namespace, key, enum_cls, options).register();
+}
\ No newline at end of file
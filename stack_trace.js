@@ -0,0 +1,381 @@
+// SPDX-License-Identifier: LGPL-3.0-or-later
+// Copyright © 2021 fvtt-shared-library Rui Pinheiro
+
+'use strict';
+
+import {PACKAGE_TITLE} from '../consts.js';
+
+
+//*********************
+// Constants
+
+// Matches the trailing ':line:column' (or ':line') of a stack frame location
+const LOCATION_REGEX = /^(.*?)(?::([0-9]+))?(?::([0-9]+))?$/;
+
+// Locations that do not correspond to a script URL
+const NON_URL_LOCATIONS = new Set(['<anonymous>', 'native', '[native code]', 'unknown location']);
+
+
+//*********************
+// Stack frame class
+// Engine-agnostic representation of a single stack trace line
+export class StackFrame {
+	constructor(fn=null, url=null, line=null, column=null, raw=null) {
+		this.function = fn || null;
+		this.url      = url || null;
+		this.line     = line ?? null;
+		this.column   = column ?? null;
+		this.raw      = raw;
+
+		// Position of this frame in the stack trace, where 0 is the innermost frame
+		this.depth    = null;
+
+		// The package this frame belongs to, if any. Filled in by PackageInfo when walking a stack trace.
+		this.package  = null;
+	}
+
+	toString() {
+		const location = [this.url ?? '<unknown>', this.line, this.column].filter((x) => x !== null).join(':');
+		return this.function ? `${this.function} (${location})` : location;
+	}
+}
+
+
+//*********************
+// Utility methods
+
+// Split a location string such as 'https://foo/bar.js:12:34' into a [url, line, column] tuple
+const parse_location = function(location) {
+	location = location?.trim();
+	if(!location || NON_URL_LOCATIONS.has(location))
+		return [null, null, null];
+
+	const match = location.match(LOCATION_REGEX);
+	const url = match[1];
+	if(!url || NON_URL_LOCATIONS.has(url))
+		return [null, null, null];
+
+	return [
+		url,
+		(match[2] !== undefined) ? parseInt(match[2]) : null,
+		(match[3] !== undefined) ? parseInt(match[3]) : null
+	];
+}
+
+
+//*********************
+// Built-in parsers
+
+/*
+ * Chromium, Electron and Node.js (V8)
+ *
+ * Examples:
+ *   at foo (https://host/modules/bar/baz.js:1:2)
+ *   at async Foo.bar [as baz] (file:///C:/Data/modules/bar/baz.js:1:2)
+ *   at https://host/modules/bar/baz.js:1:2
+ *   at eval (eval at foo (https://host/modules/bar/baz.js:1:2), <anonymous>:3:4)
+ */
+export const V8_STACK_TRACE_PARSER = {
+	name: 'v8',
+
+	detect: function(stack_trace) {
+		return /^\s*at\s/m.test(stack_trace);
+	},
+
+	parse_line: function(raw) {
+		const line = raw.trim();
+		if(!line.startsWith('at '))
+			return null;
+
+		let fn = null;
+		let location = line.slice(3);
+
+		// Split the function name from the location, if there is one
+		const paren_idx = location.indexOf(' (');
+		if(paren_idx >= 0 && location.endsWith(')')) {
+			fn = location.slice(0, paren_idx).replace(/^async\s+/, '');
+			location = location.slice(paren_idx + 2, -1);
+		}
+		else if(location.startsWith('async ')) {
+			location = location.slice(6);
+		}
+
+		// For eval frames, use the location of the code that called eval
+		if(location.startsWith('eval at ')) {
+			const eval_match = location.match(/\(([^()]+)\)/);
+			location = eval_match?.[1] ?? null;
+		}
+
+		const [url, line_nr, column] = parse_location(location);
+		return new StackFrame(fn, url, line_nr, column, raw);
+	}
+};
+
+/*
+ * Firefox (SpiderMonkey) and Safari (JavaScriptCore)
+ *
+ * Examples:
+ *   foo@https://host/modules/bar/baz.js:1:2
+ *   Foo</bar@blob:https://host/3c5b2a8e-0f1c:1:2
+ *   foo@https://host/modules/bar/baz.js line 2 > eval:1:2
+ *   global code@https://host/modules/bar/baz.js:1:2
+ *   @https://host/modules/bar/baz.js:1:2
+ *   forEach@[native code]
+ */
+export const GECKO_WEBKIT_STACK_TRACE_PARSER = {
+	name: 'gecko-webkit',
+
+	detect: function(stack_trace) {
+		return /^[^@\n]*@\S/m.test(stack_trace) || /^\S+:[0-9]+:[0-9]+$/m.test(stack_trace);
+	},
+
+	parse_line: function(raw) {
+		const line = raw.trim();
+		if(!line)
+			return null;
+
+		let fn = null;
+		let location = line;
+
+		// Frames without a function name might not contain an '@' at all (Safari)
+		const at_idx = line.indexOf('@');
+		if(at_idx >= 0) {
+			fn = line.slice(0, at_idx);
+			location = line.slice(at_idx + 1);
+		}
+		else if(!/:[0-9]+:[0-9]+$/.test(line)) {
+			return null;
+		}
+
+		// For eval/Function frames, use the location of the code that called eval
+		const eval_idx = location.search(/ line [0-9]+ > /);
+		if(eval_idx >= 0) {
+			const [, caller_line] = location.slice(eval_idx).match(/ line ([0-9]+) > /);
+			return new StackFrame(fn, location.slice(0, eval_idx), parseInt(caller_line), null, raw);
+		}
+
+		const [url, line_nr, column] = parse_location(location);
+		return new StackFrame(fn, url, line_nr, column, raw);
+	}
+};
+
+
+//*********************
+// Parser registry
+
+// Parsers are tried in order, and the first one whose 'detect' method returns 'true' is used for the whole stack trace
+const STACK_TRACE_PARSERS = [
+	V8_STACK_TRACE_PARSER,
+	GECKO_WEBKIT_STACK_TRACE_PARSER
+];
+
+/*
+ * Registers a stack trace parser.
+ *
+ * A parser is an object with the following members:
+ * - name       : Unique name for this parser
+ * - detect     : Function that receives the full stack trace string, and returns 'true' if this parser understands its format
+ * - parse_line : Function that receives a single line of the stack trace and returns a 'StackFrame', or 'null' if that line is not a frame
+ *
+ * Custom parsers are tried before the built-in ones, unless 'prepend' is 'false'.
+ */
+export const register_stack_trace_parser = function(parser, prepend=true) {
+	if(typeof parser?.name !== 'string' || typeof parser.detect !== 'function' || typeof parser.parse_line !== 'function')
+		throw new Error(`${PACKAGE_TITLE}: Stack trace parsers must have a 'name', and 'detect' and 'parse_line' methods.`);
+
+	if(STACK_TRACE_PARSERS.some((x) => x.name === parser.name))
+		throw new Error(`${PACKAGE_TITLE}: A stack trace parser named '${parser.name}' is already registered.`);
+
+	if(prepend)
+		STACK_TRACE_PARSERS.unshift(parser);
+	else
+		STACK_TRACE_PARSERS.push(parser);
+}
+
+export const unregister_stack_trace_parser = function(name) {
+	const idx = STACK_TRACE_PARSERS.findIndex((x) => x.name === name);
+	if(idx < 0)
+		return false;
+
+	STACK_TRACE_PARSERS.splice(idx, 1);
+	return true;
+}
+
+export const get_stack_trace_parser = function(stack_trace) {
+	return STACK_TRACE_PARSERS.find((x) => x.detect(stack_trace)) ?? null;
+}
+
+
+//*********************
+// Stack trace parsing
+
+/*
+ * Parses a stack trace string into an array of 'StackFrame' objects, innermost frame first.
+ * Lines that are not stack frames (e.g. the error message) are skipped.
+ */
+export const parse_stack_trace = function(stack_trace) {
+	if(typeof stack_trace !== 'string')
+		throw new Error(`${PACKAGE_TITLE}: Parameter 'stack_trace' must be a string, got ${typeof stack_trace}.`);
+
+	const parser = get_stack_trace_parser(stack_trace);
+	if(!parser)
+		return [];
+
+	const frames = [];
+
+	for(const line of stack_trace.split('\n')) {
+		const frame = parser.parse_line(line);
+		if(!frame)
+			continue;
+
+		frame.depth = frames.length;
+		frames.push(frame);
+	}
+
+	return frames;
+}
+
+//*********************
+// Stack trace collection
+
+// V8 exposes structured call sites through 'Error.captureStackTrace' and 'Error.prepareStackTrace', which lets us skip
+// building and parsing the stack trace string entirely
+const HAS_CALLSITES = (typeof Error.captureStackTrace === 'function');
+
+// Number of call sites captured at first. Most callers stop at one of the innermost frames, so capturing the whole stack is
+// usually unnecessary.
+const CALLSITES_INITIAL_LIMIT = 16;
+
+const prepare_callsites = function(_, callsites) {
+	return callsites;
+}
+
+// Converts a V8 CallSite object into a StackFrame
+const frame_from_callsite = function(callsite, depth) {
+	// Function name, formatted similarly to the V8 stack trace string
+	let fn = callsite.getFunctionName() ?? callsite.getMethodName();
+	if(fn) {
+		if(callsite.isConstructor())
+			fn = `new ${fn}`;
+		else if(!callsite.isToplevel() && callsite.getTypeName() && !fn.includes('.'))
+			fn = `${callsite.getTypeName()}.${fn}`;
+	}
+
+	// For eval frames, use the location of the code that called eval
+	let url = callsite.getFileName() ?? callsite.getScriptNameOrSourceURL?.();
+	let line = callsite.getLineNumber();
+	let column = callsite.getColumnNumber();
+
+	if(!url && callsite.isEval()) {
+		const eval_frame = V8_STACK_TRACE_PARSER.parse_line(`at ${callsite.getEvalOrigin()}`);
+		url    = eval_frame?.url;
+		line   = eval_frame?.line;
+		column = eval_frame?.column;
+	}
+
+	const frame = new StackFrame(fn, url, line, column, null);
+	frame.depth = depth;
+
+	// Building the raw stack trace line is comparatively expensive, so only do it if it is needed
+	Object.defineProperty(frame, 'raw', {
+		get: function() {
+			const raw = `    at ${callsite.toString()}`;
+			Object.defineProperty(this, 'raw', {value: raw, enumerable: true});
+			return raw;
+		},
+		enumerable: true,
+		configurable: true
+	});
+
+	return frame;
+}
+
+// Captures the current stack as an array of V8 call sites, or as a string if those are not available.
+// At most 'limit' frames are captured.
+const capture_stack = function(use_callsites, limit=Infinity) {
+	const old_stack_limit = Error.stackTraceLimit;
+	const old_prepare = Error.prepareStackTrace;
+
+	try {
+		Error.stackTraceLimit = limit;
+
+		if(!use_callsites)
+			return Error().stack;
+
+		const obj = {};
+		Error.prepareStackTrace = prepare_callsites;
+		Error.captureStackTrace(obj, capture_stack);
+
+		// Note: 'prepareStackTrace' is only called once the 'stack' property is accessed
+		return obj.stack;
+	}
+	finally {
+		Error.stackTraceLimit = old_stack_limit;
+
+		if(use_callsites)
+			Error.prepareStackTrace = old_prepare;
+	}
+}
+
+// Parses a captured stack trace string, returning no frames if there is none
+const frames_from_string = function(stack) {
+	// Simply exit if not a string
+	if(typeof stack !== 'string')
+		return [];
+
+	return parse_stack_trace(stack);
+}
+
+/*
+ * Lazily yields the frames of the current stack from V8 call sites, so that callers can stop walking early.
+ *
+ * Only the innermost 'CALLSITES_INITIAL_LIMIT' call sites are captured at first, and the whole stack is only captured if the
+ * caller walks past them. Both captures happen inside this generator, called from the same place, so their frames line up.
+ */
+const iterate_callsites = function*() {
+	let limit = CALLSITES_INITIAL_LIMIT;
+	let callsites;
+
+	try {
+		callsites = capture_stack(/*use_callsites=*/ true, limit);
+	}
+	catch(e) {
+		callsites = null;
+	}
+
+	// Something (e.g. a frozen 'Error' object) prevented us from using call sites, try again without them
+	if(!Array.isArray(callsites)) {
+		yield* frames_from_string(capture_stack(/*use_callsites=*/ false));
+		return;
+	}
+
+	for(let i = 0; ; i++) {
+		if(i >= callsites.length) {
+			// Nothing left to walk if the stack was not truncated
+			if(callsites.length < limit)
+				return;
+
+			limit = Infinity;
+			callsites = capture_stack(/*use_callsites=*/ true, limit);
+
+			if(!Array.isArray(callsites) || i >= callsites.length)
+				return;
+		}
+
+		yield frame_from_callsite(callsites[i], i);
+	}
+}
+
+/*
+ * Collects the current stack trace, returning an iterable of 'StackFrame' objects, innermost frame first.
+ *
+ * When running on V8, structured call sites are used: frames are created lazily while iterating, and the stack is captured when
+ * iteration starts, growing past the innermost frames only if needed. Iterate the result right away.
+ * Otherwise, falls back to parsing the stack trace string.
+ */
+export const collect_stack_trace = function(use_callsites=HAS_CALLSITES) {
+	if(use_callsites)
+		return iterate_callsites();
+
+	return frames_from_string(capture_stack(/*use_callsites=*/ false));
+}
\ No newline at end of file
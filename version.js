@@ -6,13 +6,251 @@
 import {PACKAGE_TITLE, PACKAGE_ID} from '../consts.js';
 
 
+//*********************
+// Version class
+
+// Matches 2-, 3- and 4-component versions, with optional prerelease ('-beta.1') and build metadata ('+abc') suffixes
+const VERSION_REGEX = /^\s*v?([0-9]+)\.([0-9]+)(?:\.([0-9]+))?(?:\.([0-9]+))?(?:-([0-9a-z.-]+))?(?:\+([0-9a-z.-]+))?\s*$/i;
+
+// Matches a single comparator inside a range, e.g. '>=1.12', '<2', '~1.2.3' or '1.x'
+const COMPARATOR_REGEX = /^(<=|>=|<|>|==|=|~|\^)?\s*v?([0-9x*]+(?:\.[0-9x*]+){0,3}(?:-[0-9a-z.-]+)?(?:\+[0-9a-z.-]+)?)$/i;
+
+const NUMERIC_FIELDS = ['major', 'minor', 'patch', 'suffix'];
+
+// Compare two prerelease strings using the SemVer precedence rules
+const compare_prerelease = function(a, b) {
+	// A version without prerelease has higher precedence than one with it
+	if(!a || !b)
+		return (a ? -1 : 0) + (b ? 1 : 0);
+
+	const a_ids = a.split('.');
+	const b_ids = b.split('.');
+
+	for(let i = 0; i < Math.max(a_ids.length, b_ids.length); i++) {
+		const a_id = a_ids[i];
+		const b_id = b_ids[i];
+
+		if(a_id === undefined) return -1;
+		if(b_id === undefined) return  1;
+		if(a_id === b_id) continue;
+
+		const a_num = /^[0-9]+$/.test(a_id);
+		const b_num = /^[0-9]+$/.test(b_id);
+
+		// Numeric identifiers have lower precedence than alphanumeric ones
+		if(a_num && b_num)
+			return parseInt(a_id) - parseInt(b_id);
+		if(a_num !== b_num)
+			return a_num ? -1 : 1;
+
+		return (a_id < b_id) ? -1 : 1;
+	}
+
+	return 0;
+}
+
+
+// Create a version from a list of numeric components, e.g. [1, 2] => '1.2'
+const version_from_parts = function(parts, extra='') {
+	const str = [...parts, 0].slice(0, Math.max(parts.length, 2)).join('.');
+	return new Version(`${str}${extra}`);
+}
+
+// Test a version against a single range comparator
+const test_comparator = function(version, comparator) {
+	if(comparator === '*' || comparator.toLowerCase() === 'x')
+		return true;
+
+	const match = comparator.match(COMPARATOR_REGEX);
+	if(!match)
+		throw new Error(`${PACKAGE_TITLE}: Invalid version comparator '${comparator}'.`);
+
+	const operator = match[1] ?? '=';
+
+	// Split the numeric components from the prerelease/metadata suffix
+	const extra_idx = match[2].search(/[-+]/);
+	const numbers = (extra_idx < 0) ? match[2] : match[2].slice(0, extra_idx);
+	const extra   = (extra_idx < 0) ? ''       : match[2].slice(extra_idx);
+
+	// Wildcards truncate the version, e.g. '1.x.3' is equivalent to '1'
+	const parts = [];
+	for(const part of numbers.split('.')) {
+		if(part === '*' || part.toLowerCase() === 'x')
+			break;
+		parts.push(parseInt(part));
+	}
+
+	if(!parts.length)
+		return operator !== '<' && operator !== '>';
+
+	const base = version_from_parts(parts, extra);
+
+	// Calculates the lowest version that is above every version matched by the first 'count' components, e.g. '1.2' => '1.3'
+	const upper_bound = (count) => {
+		const bumped = parts.slice(0, count);
+		bumped[count-1]++;
+		return version_from_parts(bumped);
+	};
+
+	// Partial versions match every version that starts with them
+	const partial = (parts.length < 4) && !extra;
+
+	switch(operator) {
+		case '>=': return version.gte(base);
+		case '<' : return version.lt (base);
+		case '>' : return partial ? version.gte(upper_bound(parts.length)) : version.gt (base);
+		case '<=': return partial ? version.lt (upper_bound(parts.length)) : version.lte(base);
+		case '=' :
+		case '==': return partial ? (version.gte(base) && version.lt(upper_bound(parts.length))) : version.eq(base);
+		case '~' : return version.gte(base) && version.lt(upper_bound(Math.min(parts.length, 2)));
+		case '^' : {
+			// Allow changes that do not modify the left-most non-zero component
+			const idx = parts.findIndex((x) => x !== 0);
+			return version.gte(base) && version.lt(upper_bound((idx < 0) ? parts.length : idx + 1));
+		}
+	}
+}
+
+
+export class Version {
+	/*
+	 * Static methods
+	 */
+
+	// Returns a Version object, or 'null' if 'version' cannot be parsed and 'fail' is false
+	static parse(version, fail=true) {
+		if(version instanceof this)
+			return version;
+
+		try {
+			return new this(version);
+		}
+		catch(e) {
+			if(fail)
+				throw e;
+			return null;
+		}
+	}
+
+	static compare(a, b) {
+		return this.parse(a).compare(b);
+	}
+
+
+	/*
+	 * Constructor
+	 */
+	constructor(version, git_hash=undefined) {
+		// Copy an already-parsed version object, e.g. one pre-processed by Rollup
+		if(typeof version === 'object' && version !== null) {
+			Object.assign(this, version);
+			this.prerelease ??= '';
+			this.meta       ??= '';
+			this.components ??= 4;
+		}
+		else {
+			if(typeof version !== 'string')
+				throw new Error(`${PACKAGE_TITLE}: Version must be a string, got ${typeof version}.`);
+
+			const match = version.match(VERSION_REGEX);
+			if(!match)
+				throw new Error(`${PACKAGE_TITLE}: Unable to parse version string '${version}'.`);
+
+			this.known      = true;
+			this.full       = version.trim();
+			this.major      = parseInt(match[1]);
+			this.minor      = parseInt(match[2]);
+			this.patch      = parseInt(match[3] ?? 0);
+			this.suffix     = parseInt(match[4] ?? 0);
+			this.prerelease = match[5] ?? '';
+			this.meta       = match[6] ?? '';
+
+			// Number of numeric components that were explicitly specified
+			this.components = (match[4] !== undefined) ? 4 : (match[3] !== undefined) ? 3 : 2;
+		}
+
+		// Process git hash. Parsed version strings always get git fields, while copies keep theirs unless a hash is provided.
+		const is_copy = (typeof version === 'object' && version !== null);
+		if(!is_copy || git_hash !== undefined) {
+			this.git       = git_hash ?? 'unknown';
+			this.git_short = (this.git.length >= 40) ? this.git.slice(0,7) : this.git;
+			this.full_git  = `${this.full} (${this.git_short})`;
+		}
+
+		Object.freeze(this);
+	}
+
+
+	/*
+	 * Comparison
+	 */
+
+	// Returns a negative number if this < other, 0 if equal, and a positive number if this > other. Build metadata is ignored.
+	compare(other) {
+		other = this.constructor.parse(other);
+
+		for(const field of NUMERIC_FIELDS) {
+			const diff = this[field] - other[field];
+			if(diff !== 0)
+				return diff;
+		}
+
+		return compare_prerelease(this.prerelease, other.prerelease);
+	}
+
+	eq (other) { return this.compare(other) === 0; }
+	neq(other) { return this.compare(other) !== 0; }
+	lt (other) { return this.compare(other) <   0; }
+	lte(other) { return this.compare(other) <=  0; }
+	gt (other) { return this.compare(other) >   0; }
+	gte(other) { return this.compare(other) >=  0; }
+
+	/*
+	 * Test whether this version satisfies a range.
+	 *
+	 * Comparators separated by whitespace must all match, and alternatives can be separated by '||'.
+	 * Supported operators are '<', '<=', '>', '>=', '=' (or none), '~' and '^'. Omitted components or 'x' / '*' act as wildcards.
+	 *
+	 * Usage Examples:
+	 *   VERSION.satisfies('>=1.12 <2')
+	 *   VERSION.satisfies('~1.12.3 || ^2.0')
+	 */
+	satisfies(range) {
+		if(typeof range !== 'string')
+			throw new Error(`${PACKAGE_TITLE}: Version range must be a string, got ${typeof range}.`);
+
+		for(const alternative of range.split('||')) {
+			const comparators = alternative.trim().replace(/(<=|>=|<|>|==|=|~|\^)\s+/g, '$1').split(/\s+/).filter(Boolean);
+
+			if(comparators.every((x) => test_comparator(this, x)))
+				return true;
+		}
+
+		return false;
+	}
+
+	/*
+	 * Conversion
+	 */
+	toString() {
+		return this.full;
+	}
+
+	// Serialised with every field, so that 'new Version(JSON.parse(...))' round-trips including the git fields.
+	// Rollup relies on this when replacing '$_PACKAGE_VERSION' with the result of '_parse_manifest_version'.
+	toJSON() {
+		return {...this};
+	}
+}
+
+
 //*********************
 // Versioning
 
 // This allows rollup to optimise the version-related code
 /*#if _ROLLUP
 
-	export const VERSION = $_PACKAGE_VERSION;
+	export const VERSION = new Version($_PACKAGE_VERSION);
 
 //#else */
 
@@ -27,27 +265,12 @@ import {PACKAGE_TITLE, PACKAGE_ID} from '../consts.js';
 			version = '1.99.99.99';
 
 		// Parse version string
-		const match = version.match(/^([0-9]+)\.([0-9]+)\.([0-9]+).([0-9]+)(.*)$/i);
-		if(!match)
-			throw_error(`Unable to parse version string '${version_str}'`);
-
-		const result = {
-			known  : known,
-			full   : version,
-			major  : parseInt(match[1]),
-			minor  : parseInt(match[2]),
-			patch  : parseInt(match[3]),
-			suffix : parseInt(match[4]),
-			meta   : match[5],
-		};
-
-		// Process git hash
-		result.git       = git_hash ?? 'unknown';
-		result.git_short = (result.git.length >= 40) ? result.git.slice(0,7) : result.git;
-		result.full_git  = `${result.full} (${result.git_short})`
+		const result = Version.parse(version, /*fail=*/ false);
+		if(!result)
+			throw_error(`Unable to parse version string '${version}'`);
 
 		// Done
-		return result;
+		return new Version({...result, known: known}, git_hash);
 	}
 
 	// This method is fallback, and only used when running libWrapper directly from the source code without going through the Rollup build step first
@@ -93,16 +316,5 @@ import {PACKAGE_TITLE, PACKAGE_ID} from '../consts.js';
 //*********************
 // Test for a minimum version
 export const version_at_least = function(major, minor=0, patch=0, suffix=0) {
-	if(VERSION.major == major) {
-		if(VERSION.minor == minor) {
-			if(VERSION.patch == patch) {
-				return VERSION.suffix == suffix;
-			}
-
-			return VERSION.patch >= patch;
-		}
-
-		return VERSION.minor > minor;
-	}
-	return VERSION.major > major;
+	return VERSION.gte(`${major}.${minor}.${patch}.${suffix}`);
 }
\ No newline at end of file